@@ -17,7 +17,8 @@ program
 program
   .option('--json', 'Output JSON (stdout) instead of formatted text')
   .option('--raw', 'Include raw Homey API objects in JSON output (very verbose)')
-  .option('--threshold <n>', 'Fuzzy match threshold', (v) => parseInt(v, 10), 5);
+  .option('--threshold <n>', 'Fuzzy match threshold', (v) => parseInt(v, 10), 5)
+  .option('--homey <nameOrId>', 'Homey of the cloud account to use (default: saved with auth set-homey, else the first)');
 
 function exitCodeForError(err) {
   switch (err?.code) {
@@ -30,6 +31,8 @@ function exitCodeForError(err) {
     case 'CAPABILITY_NOT_SUPPORTED':
     case 'INVALID_VALUE':
       return 5;
+    case 'TIMEOUT':
+      return 6;
     default:
       return 1;
   }
@@ -57,7 +60,9 @@ function printError(err, opts) {
   if (Array.isArray(candidates) && candidates.length) {
     console.error('candidates:');
     for (const c of candidates) {
-      if (c.id && c.name) {
+      if (c.id && c.name && c.path) {
+        console.error(`  ${c.id}  ${c.path} / ${c.name}`);
+      } else if (c.id && c.name) {
         console.error(`  ${c.id}  ${c.name}`);
       } else if (c.name) {
         console.error(`  ${c.name}`);
@@ -125,27 +130,75 @@ async function promptHidden(question) {
   });
 }
 
+function collect(value, previous) {
+  return previous.concat([value]);
+}
+
+/**
+ * Shared device filters (devices, snapshot, watch, zone).
+ * @param {import('commander').Command} cmd
+ * @param {{zone?: boolean}} [opts] set zone=false when the command takes the zone positionally
+ */
+function addDeviceFilterOptions(cmd, opts = {}) {
+  cmd.option('--class <class>', 'Only devices of this class (e.g. light, sensor, socket)');
+  if (opts.zone !== false) {
+    cmd.option('--zone <name>', 'Only devices in this zone');
+  }
+  return cmd
+    .option('--recursive', 'Include devices in child zones')
+    .option('--capability <id>', 'Only devices that have this capability')
+    .option('--available', 'Only available devices')
+    .option('--unavailable', 'Only unavailable devices')
+    .option('--where <expr>', "Value predicate, repeatable (e.g. 'onoff=true', 'measure_temperature>=21')", collect, []);
+}
+
 // Devices command
-program
-  .command('devices')
-  .description('List devices (latest state)')
-  .option('--match <query>', 'Filter devices by name (returns multiple matches)')
-  .action((maybeCmd) => runOrExit((opts) => commands.listDevices({ ...opts, ...commandOpts(maybeCmd) })));
+addDeviceFilterOptions(
+  program
+    .command('devices')
+    .description('List devices (latest state)')
+    .option('--match <query>', 'Filter devices by name (returns multiple matches)')
+).action((maybeCmd) => runOrExit((opts) => commands.listDevices({ ...opts, ...commandOpts(maybeCmd) })));
 
 // Device operations
 program
   .command('device <nameOrId> <action> [capability] [value]')
-  .description('Device operations (on/off/set/get/values/inspect/capabilities)')
-  .action((nameOrId, action, capability, value) =>
-    runOrExit((opts) => {
+  .description('Device operations (on/off/toggle/set/get/wait/values/inspect/capabilities/flows)')
+  .option('--clamp', 'Snap out-of-range/off-step values to the nearest valid value (set)')
+  .option('--timeout <duration>', 'Give up after this long, e.g. 30s, 5m (wait; exits with code 6)')
+  .option('--interval <duration>', 'Polling interval when realtime events are unavailable (wait)', '2s')
+  .addHelpText('after', `
+Set values:
+  numbers are absolute, also when negative:   set target_temperature -2
+  add or multiply with + and *:               set target_temperature +0.5, set volume_set *0.5
+  subtract with -= (a bare -n is absolute):   set target_temperature -=0.5
+  percentages are of the capability range:    set dim +10%`)
+  // Negative values such as `set target_temperature -2` look like options to commander.
+  .allowUnknownOption()
+  .action((nameOrId, action, capability, value, maybeCmd) =>
+    runOrExit((globalOpts) => {
+      const opts = { ...globalOpts, ...commandOpts(maybeCmd) };
+      for (const arg of [capability, value]) {
+        if (typeof arg === 'string' && arg.startsWith('--')) {
+          throw cliError('INVALID_VALUE', `unknown option '${arg}'`);
+        }
+      }
+
       if (action === 'on') return commands.controlDevice(nameOrId, 'on', opts);
       if (action === 'off') return commands.controlDevice(nameOrId, 'off', opts);
+      if (action === 'toggle') return commands.toggleCapability(nameOrId, capability || 'onoff', opts);
       if (action === 'set') {
         if (!capability || value === undefined) {
-          throw cliError('INVALID_VALUE', 'usage: homeycli device <nameOrId> set <capability> <value>');
+          throw cliError('INVALID_VALUE', 'usage: homeycli device <nameOrId> set <capability> <value|+n|-=n|*n>');
         }
         return commands.setCapability(nameOrId, capability, value, opts);
       }
+      if (action === 'wait') {
+        if (!capability || value === undefined) {
+          throw cliError('INVALID_VALUE', "usage: homeycli device <nameOrId> wait <capability> <value|'>=n'> [--timeout 5m]");
+        }
+        return commands.waitForCapability(nameOrId, capability, value, opts);
+      }
       if (action === 'get') {
         if (!capability) return commands.getDeviceValues(nameOrId, opts);
         return commands.getCapability(nameOrId, capability, opts);
@@ -153,43 +206,344 @@ program
       if (action === 'values') return commands.getDeviceValues(nameOrId, opts);
       if (action === 'inspect') return commands.inspectDevice(nameOrId, opts);
       if (action === 'capabilities') return commands.getDeviceCapabilities(nameOrId, opts);
+      if (action === 'flows') return commands.deviceFlows(nameOrId, opts);
 
       throw cliError(
         'INVALID_VALUE',
-        'invalid device action. Use: on, off, set <capability> <value>, get [capability], values, inspect, capabilities'
+        'invalid device action. Use: on, off, toggle [capability], set <capability> <value>, get [capability], wait <capability> <condition>, values, inspect, capabilities, flows'
       );
     })
   );
 
+// Zone operations
+addDeviceFilterOptions(
+  program
+    .command('zone <nameOrId> <action> [capability] [value]')
+    .description('Zone operations: show, or on/off/set applied to every matching device')
+    .option('--clamp', 'Snap out-of-range/off-step values to the nearest valid value (set)')
+    // Negative values such as `set target_temperature -2` look like options to commander.
+    .allowUnknownOption(),
+  { zone: false }
+).action((nameOrId, action, capability, value, maybeCmd) =>
+  runOrExit((opts) => {
+    const merged = { ...opts, ...commandOpts(maybeCmd) };
+    for (const arg of [action, capability, value]) {
+      if (typeof arg === 'string' && arg.startsWith('--')) {
+        throw cliError('INVALID_VALUE', `unknown option '${arg}'`);
+      }
+    }
+    if (action === 'on' || action === 'off') {
+      return commands.controlZone(nameOrId, action, 'onoff', undefined, merged);
+    }
+    if (action === 'set') {
+      if (!capability || value === undefined) {
+        throw cliError('INVALID_VALUE', 'usage: homeycli zone <nameOrId> set <capability> <value|+n|-=n|*n>');
+      }
+      return commands.controlZone(nameOrId, 'set', capability, value, merged);
+    }
+
+    if (action === 'show') return commands.showZone(nameOrId, merged);
+
+    throw cliError('INVALID_VALUE', 'invalid zone action. Use: show, on, off, set <capability> <value>');
+  })
+);
+
+// Watch command
+addDeviceFilterOptions(
+  program
+    .command('watch [nameOrId]')
+    .description('Stream capability changes in realtime (NDJSON with --json; --capability also limits reported changes)')
+).action((nameOrId, maybeCmd) =>
+  runOrExit((opts) => commands.watchDevices(nameOrId, { ...opts, ...commandOpts(maybeCmd) }))
+);
+
+// Insights command
+program
+  .command('insights <action> [nameOrId] [capability]')
+  .description('Insights history (list [device], get <device> <capability>)')
+  .option('--from <time>', 'Start time: ISO date/time, "now" or a duration ago (e.g. 24h, 7d)')
+  .option('--to <time>', 'End time (same formats as --from)')
+  .option('--resolution <name>', 'Homey resolution (e.g. lastHour, last24Hours, last7Days, last31Days)')
+  .option('--format <format>', 'Output format for get: table, json or csv', 'table')
+  .action((action, nameOrId, capability, maybeCmd) =>
+    runOrExit((opts) => {
+      const merged = { ...opts, ...commandOpts(maybeCmd) };
+      if (action === 'list') return commands.listInsights(nameOrId, merged);
+      if (action === 'get') {
+        if (!nameOrId || !capability) {
+          throw cliError('INVALID_VALUE', 'usage: homeycli insights get <device> <capability> [--from <time>] [--to <time>]');
+        }
+        return commands.getInsights(nameOrId, capability, merged);
+      }
+      throw cliError('INVALID_VALUE', 'invalid insights action. Use: list [device], get <device> <capability>');
+    })
+  );
+
+// Energy command
+addDeviceFilterOptions(
+  program
+    .command('energy')
+    .description('Energy report: live power, top consumers and meters per zone')
+    .option('--top <n>', 'Number of top consumers to show', (v) => parseInt(v, 10), 10)
+).action((maybeCmd) => runOrExit((opts) => commands.energyReport({ ...opts, ...commandOpts(maybeCmd) })));
+
 // Flows command
 program
-  .command('flows')
-  .description('List flows')
+  .command('flows [action]')
+  .description('List flows, or lint them (flows lint)')
   .option('--match <query>', 'Filter flows by name (returns multiple matches)')
-  .action((maybeCmd) => runOrExit((opts) => commands.listFlows({ ...opts, ...commandOpts(maybeCmd) })));
+  .option('--folder <name>', 'Only flows in this folder (fuzzy)')
+  .option('--recursive', 'With --folder, include flows in sub-folders')
+  .option('--tree', 'Show the folder hierarchy with flows nested inside')
+  .option('--uses <device>', 'Only flows with cards that reference this device')
+  .option('--uses-variable <variable>', 'Only flows with cards that reference this logic variable')
+  .action((action, maybeCmd) =>
+    runOrExit((globalOpts) => {
+      const opts = { ...globalOpts, ...commandOpts(maybeCmd) };
+      if (!action) return commands.listFlows(opts);
+      if (action === 'lint') return commands.lintFlows(opts);
+      throw cliError('INVALID_VALUE', 'invalid flows action. Use: lint (or no action to list flows)');
+    })
+  );
 
 program
-  .command('flow <action> <nameOrId>')
-  .description('Flow operations (trigger)')
-  .action((action, nameOrId) =>
-    runOrExit((opts) => {
-      if (action === 'trigger') return commands.triggerFlow(nameOrId, opts);
-      throw cliError('INVALID_VALUE', 'invalid flow action. Use: trigger');
+  .command('flow <action> [nameOrId]')
+  .description('Flow operations (trigger/enable/disable/export/import), standard and advanced flows')
+  .option('--folder <name>', 'Enable/disable all flows in this folder (fuzzy)')
+  .option('--recursive', 'With --folder, include sub-folders')
+  .option('--arg <key=value>', 'Trigger token value (repeatable), validated against the trigger card', collect, [])
+  .option('--args-json <json>', 'Trigger token values as a JSON object')
+  .option('--all', 'Export all flows')
+  .option('-o, --output <file>', 'Write the export to a file instead of stdout')
+  .option('--dry-run', 'Show what import would create/update without changing anything')
+  .option('--overwrite', 'Update existing flows on import instead of skipping them')
+  .action((action, nameOrId, maybeCmd) =>
+    runOrExit((globalOpts) => {
+      const opts = { ...globalOpts, ...commandOpts(maybeCmd) };
+      if (action === 'trigger') {
+        if (!nameOrId) throw cliError('INVALID_VALUE', 'usage: homeycli flow trigger <nameOrId> [--arg key=value]');
+        return commands.triggerFlow(nameOrId, opts);
+      }
+      if (action === 'enable') return commands.setFlowEnabled(nameOrId, true, opts);
+      if (action === 'disable') return commands.setFlowEnabled(nameOrId, false, opts);
+      if (action === 'export') return commands.exportFlows(nameOrId, opts);
+      if (action === 'import') return commands.importFlows(nameOrId, opts);
+      throw cliError('INVALID_VALUE', 'invalid flow action. Use: trigger, enable, disable, export, import');
     })
   );
 
-// Snapshot command
+// Flow cards
+program
+  .command('card <action> [cardId]')
+  .description('Flow cards: list, run <action card>, test <condition card>')
+  .option('--type <type>', 'Card type for list: action, condition, trigger', 'action')
+  .option('--app <id>', 'Only cards of this app (list), e.g. com.athom.sonos')
+  .option('--arg <key=value>', 'Card argument (repeatable), validated against the card', collect, [])
+  .option('--args-json <json>', 'Card arguments as a JSON object')
+  .action((action, cardId, maybeCmd) =>
+    runOrExit((globalOpts) => {
+      const opts = { ...globalOpts, ...commandOpts(maybeCmd) };
+      if (action === 'list') return commands.listCards(opts);
+      if (action === 'run' || action === 'test') {
+        if (!cardId) throw cliError('INVALID_VALUE', `usage: homeycli card ${action} <cardIdOrTitle> [--arg key=value]`);
+        return action === 'run' ? commands.runCard(cardId, opts) : commands.testCard(cardId, opts);
+      }
+      throw cliError('INVALID_VALUE', 'invalid card action. Use: list, run, test');
+    })
+  );
+
+// Logic variables
+program
+  .command('vars [action] [name] [value]')
+  .description('Logic variables: list (default), get <name>, set <name> <value>, create <name> --type, delete <name>')
+  .option('--type <type>', 'Variable type for create: number, boolean, string')
+  .option('--value <value>', 'Initial value for create (default: 0, false or empty)')
+  .addHelpText('after', `
+Number values are absolute, also when negative (set counter -1);
+use +n, -=n or *n to change the current value (set counter +1);
+a bare -n is absolute, so subtract with -= (set counter -=1).`)
+  // Values such as `set counter -1` look like options to commander.
+  .allowUnknownOption()
+  .action((action, name, value, maybeCmd) =>
+    runOrExit((globalOpts) => {
+      const opts = { ...globalOpts, ...commandOpts(maybeCmd) };
+      for (const arg of [name, value]) {
+        if (typeof arg === 'string' && arg.startsWith('--')) {
+          throw cliError('INVALID_VALUE', `unknown option '${arg}'`);
+        }
+      }
+
+      if (!action || action === 'list') return commands.listVariables(opts);
+      if (action === 'create') return commands.createVariable(name, opts);
+      if (!name) throw cliError('INVALID_VALUE', `usage: homeycli vars ${action} <name>${action === 'set' ? ' <value>' : ''}`);
+      if (action === 'get') return commands.getVariable(name, opts);
+      if (action === 'delete') return commands.deleteVariable(name, opts);
+      if (action === 'set') {
+        if (value === undefined) throw cliError('INVALID_VALUE', 'usage: homeycli vars set <name> <value>');
+        return commands.setVariable(name, value, opts);
+      }
+      throw cliError('INVALID_VALUE', 'invalid vars action. Use: list, get, set, create, delete');
+    })
+  );
+
+// Timeline notifications
+program
+  .command('notify <message>')
+  .description('Create a timeline notification in the Homey app')
+  .action((message, maybeCmd) =>
+    runOrExit((globalOpts) => commands.notify(message, { ...globalOpts, ...commandOpts(maybeCmd) }))
+  );
+
+program
+  .command('notifications [action]')
+  .description('Timeline notifications: list (default), clear')
+  .option('--since <time>', 'Only notifications since: duration ago (1h, 7d) or ISO date (list)')
+  .option('--owner <app>', 'Only clear notifications of this owner: app name or uri (clear)')
+  .action((action, maybeCmd) =>
+    runOrExit((globalOpts) => {
+      const opts = { ...globalOpts, ...commandOpts(maybeCmd) };
+      if (!action || action === 'list') return commands.listNotifications(opts);
+      if (action === 'clear') return commands.clearNotifications(opts);
+      throw cliError('INVALID_VALUE', 'invalid notifications action. Use: list, clear');
+    })
+  );
+
+// Users and presence
+program
+  .command('users')
+  .description('List Homey users with role, present and asleep state')
+  .action((maybeCmd) => runOrExit((opts) => commands.listUsers({ ...opts, ...commandOpts(maybeCmd) })));
+
+program
+  .command('presence <action> <user> <value>')
+  .description("Set presence: set <user> home|away, asleep <user> true|false (user: name, id or 'me')")
+  .action((action, user, value, maybeCmd) =>
+    runOrExit((globalOpts) => {
+      const opts = { ...globalOpts, ...commandOpts(maybeCmd) };
+      if (action === 'set') return commands.setPresence(user, 'present', value, opts);
+      if (action === 'asleep') return commands.setPresence(user, 'asleep', value, opts);
+      throw cliError('INVALID_VALUE', 'invalid presence action. Use: set <user> home|away, asleep <user> true|false');
+    })
+  );
+
+// Apps
+program
+  .command('apps')
+  .description('List installed apps (version, state, crashed, update available, device count)')
+  .action((maybeCmd) => runOrExit((opts) => commands.listApps({ ...opts, ...commandOpts(maybeCmd) })));
+
+program
+  .command('app <nameOrId> <action> [args...]')
+  .description('App operations: inspect, restart, enable, disable, settings get [key], settings set <key> <value>')
+  // Setting values such as `-1` look like options to commander.
+  .allowUnknownOption()
+  .action((nameOrId, action, args, maybeCmd) =>
+    runOrExit((globalOpts) => {
+      const opts = { ...globalOpts, ...commandOpts(maybeCmd) };
+      for (const arg of [action, ...(args || [])]) {
+        if (typeof arg === 'string' && arg.startsWith('--')) {
+          throw cliError('INVALID_VALUE', `unknown option '${arg}'`);
+        }
+      }
+      const [sub, key, value] = args || [];
+
+      if (action === 'inspect') return commands.inspectApp(nameOrId, opts);
+      if (['restart', 'enable', 'disable'].includes(action)) return commands.controlApp(nameOrId, action, opts);
+      if (action === 'settings') {
+        if (!sub || sub === 'get') return commands.getAppSettings(nameOrId, key, opts);
+        if (sub === 'set') {
+          if (!key || value === undefined) {
+            throw cliError('INVALID_VALUE', 'usage: homeycli app <nameOrId> settings set <key> <value>');
+          }
+          return commands.setAppSetting(nameOrId, key, value, opts);
+        }
+        throw cliError('INVALID_VALUE', 'invalid settings action. Use: get [key], set <key> <value>');
+      }
+      throw cliError('INVALID_VALUE', 'invalid app action. Use: inspect, restart, enable, disable, settings');
+    })
+  );
+
+// Moods
+program
+  .command('moods')
+  .description('List moods (scenes)')
+  .option('--zone <name>', 'Only moods of this zone')
+  .option('--recursive', 'Include moods of child zones')
+  .action((maybeCmd) => runOrExit((opts) => commands.listMoods({ ...opts, ...commandOpts(maybeCmd) })));
+
+program
+  .command('mood <action> <nameOrId>')
+  .description('Mood operations: activate')
+  .action((action, nameOrId, maybeCmd) =>
+    runOrExit((globalOpts) => {
+      const opts = { ...globalOpts, ...commandOpts(maybeCmd) };
+      if (action === 'activate') return commands.activateMood(nameOrId, opts);
+      throw cliError('INVALID_VALUE', 'invalid mood action. Use: activate');
+    })
+  );
+
+// Alarms
+program
+  .command('alarms')
+  .description('List alarms (time, repeat days, enabled, next occurrence)')
+  .action((maybeCmd) => runOrExit((opts) => commands.listAlarms({ ...opts, ...commandOpts(maybeCmd) })));
+
+program
+  .command('alarm <action> [nameOrId] [time]')
+  .description('Alarm operations: create <name> <time>, update <nameOrId> [time], enable, disable, delete')
+  .option('--days <days>', 'Repeat days: mon-fri, sat,sun, weekdays, weekends, daily, once (create/update)')
+  .option('--name <name>', 'New name (update)')
+  .option('--disabled', 'Create the alarm disabled (create)')
+  .action((action, nameOrId, time, maybeCmd) =>
+    runOrExit((globalOpts) => {
+      const opts = { ...globalOpts, ...commandOpts(maybeCmd) };
+      if (action === 'create') return commands.createAlarm(nameOrId, time, opts);
+      if (action === 'update') return commands.updateAlarm(nameOrId, time, opts);
+      if (!nameOrId) throw cliError('INVALID_VALUE', `usage: homeycli alarm ${action} <nameOrId>`);
+      if (action === 'enable') return commands.setAlarmEnabled(nameOrId, true, opts);
+      if (action === 'disable') return commands.setAlarmEnabled(nameOrId, false, opts);
+      if (action === 'delete') return commands.deleteAlarm(nameOrId, opts);
+      throw cliError('INVALID_VALUE', 'invalid alarm action. Use: create, update, enable, disable, delete');
+    })
+  );
+
+// Cloud account Homeys
+program
+  .command('homeys')
+  .description('List the Homeys of the cloud account (id, name, platform, online)')
+  .action((maybeCmd) => runOrExit((opts) => commands.listHomeys({ ...opts, ...commandOpts(maybeCmd) })));
+
+// System
 program
-  .command('snapshot')
-  .description('Get a point-in-time snapshot (status + zones + devices)')
-  .option('--include-flows', 'Also include flows (can be large)')
-  .action((maybeCmd) => runOrExit((opts) => commands.snapshot({ ...opts, ...commandOpts(maybeCmd) })));
+  .command('system <action>')
+  .description('System operations: info, updates, reboot --confirm')
+  .option('--confirm', 'Required to reboot')
+  .action((action, maybeCmd) =>
+    runOrExit((globalOpts) => {
+      const opts = { ...globalOpts, ...commandOpts(maybeCmd) };
+      if (action === 'info') return commands.systemInfo(opts);
+      if (action === 'updates') return commands.systemUpdates(opts);
+      if (action === 'reboot') return commands.systemReboot(opts);
+      throw cliError('INVALID_VALUE', 'invalid system action. Use: info, updates, reboot');
+    })
+  );
+
+// Snapshot command
+addDeviceFilterOptions(
+  program
+    .command('snapshot')
+    .description('Get a point-in-time snapshot (status + zones + devices)')
+    .option('--include-flows', 'Also include flows (can be large)')
+    .option('--include-users', 'Also include users and their presence')
+    .option('--include-moods', 'Also include moods and the device states they apply')
+).action((maybeCmd) => runOrExit((opts) => commands.snapshot({ ...opts, ...commandOpts(maybeCmd) })));
 
 // Zones command
 program
   .command('zones')
   .description('List all zones/rooms')
-  .action(() => runOrExit((opts) => commands.listZones(opts)));
+  .option('--tree', 'Show the zone hierarchy')
+  .action((maybeCmd) => runOrExit((opts) => commands.listZones({ ...opts, ...commandOpts(maybeCmd) })));
 
 // Status command
 program
@@ -249,11 +603,20 @@ program
         return commands.authClearLocal(merged);
       }
 
+      if (action === 'set-homey') {
+        // value = name or id of a Homey on the cloud account
+        return commands.authSetHomey(value, merged);
+      }
+
+      if (action === 'clear-homey') {
+        return commands.authClearHomey(merged);
+      }
+
       if (action === 'status') return commands.authStatus(merged);
 
       throw cliError(
         'INVALID_VALUE',
-        'invalid auth action. Use: status, discover-local [--save] [--pick <n>|--homey-id <id>] [--timeout <ms>], set-local [--address <url>] [--stdin|--prompt|<token>], set-token [--stdin|--prompt|<token>], set-mode <auto|local|cloud>, clear-local, clear-token'
+        'invalid auth action. Use: status, discover-local [--save] [--pick <n>|--homey-id <id>] [--timeout <ms>], set-local [--address <url>] [--stdin|--prompt|<token>], set-token [--stdin|--prompt|<token>], set-mode <auto|local|cloud>, set-homey <name|id>, clear-local, clear-token, clear-homey'
       );
     })
   );
@@ -0,0 +1,159 @@
+const { cliError } = require('./errors');
+
+// Indexed like Date#getDay().
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday'];
+const WEEKEND = ['saturday', 'sunday'];
+
+const DAY_SETS = {
+  daily: DAYS,
+  everyday: DAYS,
+  weekdays: WEEKDAYS,
+  weekends: WEEKEND,
+  weekend: WEEKEND,
+  once: [],
+  never: [],
+  none: [],
+};
+
+/**
+ * Parse an alarm time: `7:15`, `07:15`, `7.15`, `7am`, `7:15pm`.
+ * @param {string} value
+ * @returns {string} `HH:MM`
+ */
+function parseAlarmTime(value) {
+  const s = String(value ?? '').trim().toLowerCase();
+  const match = s.match(/^(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm)?$/);
+  let hours = match ? parseInt(match[1], 10) : NaN;
+  const minutes = match && match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match?.[3];
+
+  // Without am/pm a bare hour ("7") is ambiguous with a typo; require minutes.
+  const valid = match
+    && (meridiem || match[2])
+    && minutes < 60
+    && (meridiem ? hours >= 1 && hours <= 12 : hours < 24);
+  if (!valid) {
+    throw cliError('INVALID_VALUE', `invalid alarm time: '${value}' (use e.g. 07:15, 7:15pm or 7am)`);
+  }
+
+  if (meridiem) hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+}
+
+function parseDay(token, value) {
+  const t = String(token ?? '').trim().toLowerCase();
+  const day = t.length >= 2 ? DAYS.find((d) => d.startsWith(t)) : null;
+  if (!day) {
+    throw cliError('INVALID_VALUE', `invalid day '${token}' in --days '${value}' (use e.g. mon-fri, sat,sun, weekdays, daily, once)`);
+  }
+  return DAYS.indexOf(day);
+}
+
+/**
+ * Parse `--days`: `mon-fri`, `fri-mon` (wraps), `mon,wed,fri`, `weekdays`, `weekends`, `daily`, `once`.
+ * @param {string} value
+ * @returns {Record<string, boolean>} Homey repetition object (monday..sunday)
+ */
+function parseAlarmDays(value) {
+  const s = String(value ?? '').trim().toLowerCase().replace(/\s+/g, '');
+  const selected = new Set();
+
+  if (DAY_SETS[s]) {
+    for (const d of DAY_SETS[s]) selected.add(d);
+  } else {
+    for (const part of s.split(',')) {
+      const [from, to] = part.split('-');
+      const start = parseDay(from, value);
+      const end = to === undefined ? start : parseDay(to, value);
+      for (let i = start; ; i = (i + 1) % 7) {
+        selected.add(DAYS[i]);
+        if (i === end) break;
+      }
+    }
+  }
+
+  return Object.fromEntries(DAYS.slice(1).concat(DAYS[0]).map((d) => [d, selected.has(d)]));
+}
+
+/**
+ * Short description of a repetition: `once`, `daily`, `weekdays`, `weekends` or `Mon, Wed, Fri`.
+ * @param {Record<string, boolean>|null} repetition
+ * @returns {string}
+ */
+function formatRepetition(repetition) {
+  const days = DAYS.filter((d) => repetition?.[d]);
+  const same = (set) => days.length === set.length && set.every((d) => days.includes(d));
+
+  if (!days.length) return 'once';
+  if (same(DAYS)) return 'daily';
+  if (same(WEEKDAYS)) return 'weekdays';
+  if (same(WEEKEND)) return 'weekends';
+
+  // Monday first, like the Homey app.
+  const order = DAYS.slice(1).concat(DAYS[0]);
+  return order.filter((d) => days.includes(d)).map((d) => d[0].toUpperCase() + d.slice(1, 3)).join(', ');
+}
+
+function wallClockFormat(timeZone) {
+  const opts = {
+    hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric',
+  };
+  try {
+    return new Intl.DateTimeFormat('en-US', { ...opts, timeZone: timeZone || undefined });
+  } catch {
+    // Unknown zone name: fall back to the timezone of this machine.
+    return new Intl.DateTimeFormat('en-US', opts);
+  }
+}
+
+// Wall-clock time of `date` in the formatter's zone, as if it were UTC (ms).
+function wallClock(format, date) {
+  const parts = Object.fromEntries(format.formatToParts(date).map((p) => [p.type, parseInt(p.value, 10)]));
+  return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * Next time an enabled alarm goes off. Alarms ring at wall-clock time on Homey, so the
+ * time is computed in Homey's timezone (falling back to the timezone of this machine).
+ * Alarms without repeat days go off once, at the next matching time.
+ *
+ * @param {{time: string|null, enabled: boolean, repetition: object|null}} alarm picked alarm
+ * @param {Date} [now]
+ * @param {string|null} [timeZone] IANA zone name, e.g. `Europe/Amsterdam`
+ * @returns {Date|null} null when disabled or the time is unknown
+ */
+function nextAlarmOccurrence(alarm, now = new Date(), timeZone = null) {
+  const match = String(alarm.time || '').match(/^(\d{1,2}):(\d{2})/);
+  if (!alarm.enabled || !match) return null;
+
+  const format = wallClockFormat(timeZone);
+  const today = new Date(wallClock(format, now));
+  const repeats = DAYS.some((d) => alarm.repetition?.[d]);
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const local = Date.UTC(
+      today.getUTCFullYear(),
+      today.getUTCMonth(),
+      today.getUTCDate() + offset,
+      parseInt(match[1], 10),
+      parseInt(match[2], 10)
+    );
+    // Shift by the zone's UTC offset; check again at the result in case a DST change lies in between.
+    let candidate = new Date(local - (wallClock(format, new Date(local)) - local));
+    candidate = new Date(local - (wallClock(format, candidate) - candidate.getTime()));
+
+    if (candidate <= now) continue;
+    if (!repeats || alarm.repetition[DAYS[new Date(local).getUTCDay()]]) return candidate;
+  }
+
+  return null;
+}
+
+module.exports = {
+  DAYS,
+  parseAlarmTime,
+  parseAlarmDays,
+  formatRepetition,
+  nextAlarmOccurrence,
+};
@@ -0,0 +1,78 @@
+const { cliError } = require('./errors');
+const { coerceTypedValue } = require('./capabilities');
+
+// Reverse-domain app id, e.g. `com.athom.sonos`.
+const APP_ID_PATTERN = /^[a-z0-9_-]+(\.[a-z0-9_-]+)+$/i;
+
+/**
+ * App id a device belongs to, from its owner uri (`homey:app:<appId>`) or,
+ * when that is missing, from a v3 driver id (`homey:app:<appId>:<driver>`).
+ *
+ * @param {{driverId?: string|null, uri?: string|null}} device picked device (see HomeyClient#_pickDevice)
+ * @returns {string|null}
+ */
+function deviceAppId(device) {
+  for (const ref of [device.uri, device.driverId]) {
+    const match = String(ref || '').match(/^homey:app:([^:]+)/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Count devices per app id.
+ * @param {Array<object>} devices picked devices
+ * @returns {Map<string, number>}
+ */
+function countDevicesByApp(devices) {
+  const counts = new Map();
+  for (const device of devices || []) {
+    const appId = deviceAppId(device);
+    if (appId) counts.set(appId, (counts.get(appId) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Parse a CLI app setting value, coerced to the type of the setting's current value so
+ * string settings such as `"1234"` or `"true"` stay strings. Objects and arrays must be
+ * given as JSON; settings without a current value are stored as strings.
+ *
+ * @param {string} key
+ * @param {string} value
+ * @param {any} current current value of the setting (undefined when not set)
+ * @returns {any}
+ */
+function parseSettingValue(key, value, current) {
+  const expectedType = Array.isArray(current) ? 'array' : current === null ? 'null' : typeof current;
+
+  if (expectedType === 'object' || expectedType === 'array') {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch {
+      parsed = undefined;
+    }
+    if (parsed === null || typeof parsed !== 'object' || Array.isArray(parsed) !== (expectedType === 'array')) {
+      throw cliError('INVALID_VALUE', `invalid value for setting '${key}': expected a JSON ${expectedType}`, {
+        key,
+        value,
+        expectedType,
+      });
+    }
+    return parsed;
+  }
+
+  const { value: coerced, error } = coerceTypedValue(expectedType, value);
+  if (error) {
+    throw cliError('INVALID_VALUE', `invalid value for setting '${key}': ${error}`, { key, value, expectedType });
+  }
+  return coerced;
+}
+
+module.exports = {
+  APP_ID_PATTERN,
+  deviceAppId,
+  countDevicesByApp,
+  parseSettingValue,
+};
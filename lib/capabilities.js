@@ -0,0 +1,328 @@
+const { cliError } = require('./errors');
+
+const EPSILON = 1e-9;
+
+function parseBoolean(value) {
+  const v = String(value).toLowerCase();
+  if (['true', '1', 'on', 'yes', 'y'].includes(v)) return true;
+  if (['false', '0', 'off', 'no', 'n'].includes(v)) return false;
+  return null;
+}
+
+const DECIMAL_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Parse a CLI number strictly: the whole value must be a decimal number
+ * (`5abc` is not 5, and `0x10`, `0b1`, `0o7` are rejected).
+ * @param {any} value
+ * @returns {number|null} null when not a finite number
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const s = String(value ?? '').trim();
+  if (!DECIMAL_PATTERN.test(s)) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Coerce a CLI/JSON value to a Homey value type (number, boolean, string).
+ * Unknown types pass the value through unchanged.
+ * @param {string} type
+ * @param {any} value
+ * @returns {{value: any, error: string|null}}
+ */
+function coerceTypedValue(type, value) {
+  if (type === 'number') {
+    const n = parseNumber(value);
+    return n === null ? { value, error: 'expected a number' } : { value: n, error: null };
+  }
+  if (type === 'boolean') {
+    const b = typeof value === 'boolean' ? value : parseBoolean(value);
+    return b === null ? { value, error: 'expected a boolean (true/false/on/off/1/0)' } : { value: b, error: null };
+  }
+  if (type === 'string') {
+    return { value: String(value), error: null };
+  }
+  return { value, error: null };
+}
+
+/**
+ * Declared capability type, falling back to the type of the current value.
+ * @param {object} [capObj] entry of device.capabilitiesObj
+ * @returns {string|undefined}
+ */
+function capabilityType(capObj) {
+  const declaredType = capObj?.type;
+  const inferredType = capObj && 'value' in capObj ? typeof capObj.value : undefined;
+  return declaredType || inferredType;
+}
+
+function countDecimals(n) {
+  const s = String(n);
+  if (s.includes('e-')) return parseInt(s.split('e-')[1], 10);
+  const dot = s.indexOf('.');
+  return dot === -1 ? 0 : s.length - dot - 1;
+}
+
+function roundTo(n, decimals) {
+  const f = 10 ** decimals;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * Allowed numeric range of a capability (null fields are unconstrained).
+ * @param {object} [capObj]
+ */
+function numberRange(capObj) {
+  return {
+    min: Number.isFinite(capObj?.min) ? capObj.min : null,
+    max: Number.isFinite(capObj?.max) ? capObj.max : null,
+    step: Number.isFinite(capObj?.step) && capObj.step > 0 ? capObj.step : null,
+    decimals: Number.isInteger(capObj?.decimals) && capObj.decimals >= 0 ? capObj.decimals : null,
+  };
+}
+
+/**
+ * Check a number against min/max/step and round it to `decimals` (a display precision,
+ * not a constraint). With clamp=true, out-of-range values are clamped and off-step values
+ * are snapped to the nearest step.
+ *
+ * @param {number} n
+ * @param {object} [capObj]
+ * @param {{clamp?: boolean}} [opts]
+ * @returns {{value: number, error: string|null}}
+ */
+function constrainNumber(n, capObj, opts = {}) {
+  const range = numberRange(capObj);
+  let value = n;
+
+  if (range.min !== null && value < range.min) {
+    if (!opts.clamp) return { value, error: `${value} is below the minimum of ${range.min}` };
+    value = range.min;
+  }
+  if (range.max !== null && value > range.max) {
+    if (!opts.clamp) return { value, error: `${value} is above the maximum of ${range.max}` };
+    value = range.max;
+  }
+
+  if (range.step !== null) {
+    const base = range.min ?? 0;
+    const steps = (value - base) / range.step;
+    if (Math.abs(steps - Math.round(steps)) > EPSILON) {
+      if (!opts.clamp) return { value, error: `${value} is not a multiple of step ${range.step}` };
+      value = base + Math.round(steps) * range.step;
+      // Snapping must not push the value back out of range.
+      if (range.max !== null && value > range.max) value -= range.step;
+    }
+    value = roundTo(value, Math.max(countDecimals(range.step), countDecimals(base)));
+  }
+
+  if (range.decimals !== null && countDecimals(value) > range.decimals) {
+    value = roundTo(value, range.decimals);
+  }
+
+  return { value, error: null };
+}
+
+/**
+ * Parse a relative value: `+0.1`, `+10%`, `*0.5`, `-=0.5`.
+ * `+` and `*` may be followed by `=` (`+=0.1`, `*=0.5`); `-` must be, since a bare `-2`
+ * is an absolute (negative) value.
+ * @param {string} value
+ * @returns {{op: '+'|'-'|'*', amount: number, percent: boolean}|null}
+ */
+function parseRelative(value) {
+  const match = String(value).trim().match(/^(?:([+*])=?|(-)=)(\d+(?:\.\d+)?|\.\d+)(%?)$/);
+  if (!match) return null;
+  return { op: match[1] || match[2], amount: parseFloat(match[3]), percent: match[4] === '%' };
+}
+
+/**
+ * Apply a relative operation to the current value.
+ * Percentages of `+`/`-` are relative to the capability range (max - min) when known,
+ * otherwise to the current value.
+ * @param {number} current
+ * @param {{op: string, amount: number, percent: boolean}} rel
+ * @param {object} [capObj]
+ * @returns {number}
+ */
+function applyRelative(current, rel, capObj) {
+  if (rel.op === '*') {
+    return current * (rel.percent ? rel.amount / 100 : rel.amount);
+  }
+
+  let delta = rel.amount;
+  if (rel.percent) {
+    const range = numberRange(capObj);
+    const span = range.min !== null && range.max !== null ? range.max - range.min : Math.abs(current);
+    delta = (span * rel.amount) / 100;
+  }
+
+  return rel.op === '+' ? current + delta : current - delta;
+}
+
+/**
+ * Parse a CLI string value according to the capability type of a device and validate it
+ * against the capability metadata (min/max/step/decimals, enum values).
+ *
+ * Numbers may be relative to the current value (`+n`, `-=n`, `*n`, see parseRelative); relative results are
+ * always clamped to the capability range and snapped to its step. When that changed the value,
+ * `requested` holds the value before clamping.
+ *
+ * @param {object} device picked device (see HomeyClient#_pickDevice)
+ * @param {string} capability
+ * @param {string} value
+ * @param {{clamp?: boolean}} [opts]
+ * @returns {{value: any, clamped: boolean, requested?: number, relative?: boolean}}
+ */
+function parseCapabilityValue(device, capability, value, opts = {}) {
+  const capObj = device.capabilitiesObj?.[capability];
+  const type = capabilityType(capObj);
+  const deviceRef = { id: device.id, name: device.name };
+
+  if (type === 'number') {
+    const rel = parseRelative(value);
+    if (rel) {
+      const current = capObj?.value;
+      if (typeof current !== 'number') {
+        throw cliError('INVALID_VALUE', `cannot apply relative value '${value}' to '${capability}': current value is unknown`, {
+          device: deviceRef,
+          capability,
+          value,
+          current: current ?? null,
+        });
+      }
+      const { decimals } = numberRange(capObj);
+      // Round off floating point noise (0.1 + 0.2) before comparing with the clamped value.
+      const next = roundTo(applyRelative(current, rel, capObj), decimals ?? 10);
+      const constrained = constrainNumber(next, capObj, { clamp: true }).value;
+      return constrained !== next
+        ? { value: constrained, clamped: true, requested: next, relative: true }
+        : { value: constrained, clamped: false, relative: true };
+    }
+
+    const n = parseNumber(value);
+    if (n === null) {
+      throw cliError('INVALID_VALUE', `invalid number for '${capability}': '${value}'`, {
+        device: deviceRef,
+        capability,
+        value,
+        expectedType: 'number',
+        help: 'use a number (e.g. -2), or +n, -=n, *n, +n% to change the current value',
+      });
+    }
+
+    const constrained = constrainNumber(n, capObj, opts);
+    if (constrained.error) {
+      throw cliError('INVALID_VALUE', `invalid value for '${capability}': ${constrained.error}`, {
+        device: deviceRef,
+        capability,
+        value,
+        expectedType: 'number',
+        range: numberRange(capObj),
+        help: 'use --clamp to snap to the nearest valid value',
+      });
+    }
+
+    // Rounding to `decimals` alone doesn't count as clamping.
+    const { decimals } = numberRange(capObj);
+    const rounded = decimals !== null ? roundTo(n, decimals) : n;
+    return { value: constrained.value, clamped: constrained.value !== rounded };
+  }
+
+  if (type === 'boolean') {
+    const b = parseBoolean(value);
+    if (b === null) {
+      throw cliError('INVALID_VALUE', `invalid boolean for '${capability}': '${value}' (use true/false/on/off/1/0)`, {
+        device: deviceRef,
+        capability,
+        value,
+        expectedType: 'boolean',
+      });
+    }
+    return { value: b, clamped: false };
+  }
+
+  if (type === 'enum' && Array.isArray(capObj?.values) && capObj.values.length) {
+    const raw = String(value);
+    const match = capObj.values.find((v) => String(v.id) === raw)
+      || capObj.values.find((v) => String(v.id).toLowerCase() === raw.toLowerCase());
+    if (!match) {
+      throw cliError('INVALID_VALUE', `invalid value for '${capability}': '${value}'`, {
+        device: deviceRef,
+        capability,
+        value,
+        expectedType: 'enum',
+        options: capObj.values.map((v) => v.id),
+      });
+    }
+    return { value: match.id, clamped: false };
+  }
+
+  return { value, clamped: false };
+}
+
+/**
+ * Parse a wait condition such as `false`, `>=21` or `!=idle` for a capability.
+ * Ordering operators (>, >=, <, <=) are only valid for numbers.
+ *
+ * @param {object} device picked device
+ * @param {string} capability
+ * @param {string} raw
+ * @returns {{op: string, value: boolean|number|string}}
+ */
+function parseCapabilityCondition(device, capability, raw) {
+  const match = String(raw ?? '').trim().match(/^(>=|<=|!=|=|>|<)?\s*(.*)$/);
+  const op = match[1] || '=';
+  const text = match[2];
+  const type = capabilityType(device.capabilitiesObj?.[capability]);
+  const details = { device: { id: device.id, name: device.name }, capability, condition: raw };
+
+  if (text === '') {
+    throw cliError('INVALID_VALUE', `condition value is required for '${capability}'`, details);
+  }
+
+  if (type === 'number') {
+    const n = parseNumber(text);
+    if (n === null) {
+      throw cliError('INVALID_VALUE', `invalid number in condition for '${capability}': '${raw}'`, {
+        ...details,
+        expectedType: 'number',
+      });
+    }
+    return { op, value: n };
+  }
+
+  if (!['=', '!='].includes(op)) {
+    throw cliError('INVALID_VALUE', `operator '${op}' is only supported for numbers ('${capability}' is ${type || 'unknown'})`, details);
+  }
+
+  if (type === 'boolean') {
+    const b = parseBoolean(text);
+    if (b === null) {
+      throw cliError('INVALID_VALUE', `invalid boolean in condition for '${capability}': '${raw}' (use true/false/on/off/1/0)`, {
+        ...details,
+        expectedType: 'boolean',
+      });
+    }
+    return { op, value: b };
+  }
+
+  return { op, value: text };
+}
+
+module.exports = {
+  parseBoolean,
+  parseNumber,
+  coerceTypedValue,
+  capabilityType,
+  numberRange,
+  constrainNumber,
+  countDecimals,
+  roundTo,
+  parseRelative,
+  applyRelative,
+  parseCapabilityValue,
+  parseCapabilityCondition,
+};
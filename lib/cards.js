@@ -0,0 +1,127 @@
+const { cliError } = require('./errors');
+const { parseBoolean, parseNumber } = require('./capabilities');
+const { resolveByIdOrName } = require('./resolve');
+
+const CARD_TYPES = ['action', 'condition', 'trigger'];
+
+// Arg types Homey fills in itself (the device of a device card) or that only make sense inside a flow.
+const IMPLICIT_ARG_TYPES = ['device'];
+
+/**
+ * Localized strings come as plain strings in v3, but older firmware returns `{ en, nl, ... }`.
+ * @param {string|object} value
+ * @returns {string|null}
+ */
+function localized(value) {
+  if (value && typeof value === 'object') return value.en || Object.values(value)[0] || null;
+  return value ?? null;
+}
+
+/**
+ * Validate a card type option.
+ * @param {string} [type]
+ * @returns {'action'|'condition'|'trigger'}
+ */
+function parseCardType(type = 'action') {
+  const t = String(type).toLowerCase();
+  if (!CARD_TYPES.includes(t)) {
+    throw cliError('INVALID_VALUE', `invalid card type: '${type}' (use ${CARD_TYPES.join(', ')})`);
+  }
+  return t;
+}
+
+/**
+ * Validate and coerce `--arg` values against the args declared by a flow card.
+ *
+ * - number/range: numeric, within min/max
+ * - checkbox: boolean
+ * - dropdown: resolved against the declared values (id or label, fuzzy)
+ * - autocomplete: resolved against the results of `autocomplete(argName, query)` (fuzzy by name)
+ * - everything else is passed as a string
+ *
+ * @param {{id: string, title: string|null, args: Array<object>}} card picked card (see HomeyClient#_pickFlowCard)
+ * @param {Record<string, any>} raw
+ * @param {object} [opts]
+ * @param {(argName: string, query: string) => Promise<Array<object>>} [opts.autocomplete]
+ * @param {number} [opts.threshold]
+ * @returns {Promise<Record<string, any>>}
+ */
+async function coerceCardArgs(card, raw, opts = {}) {
+  const declared = card.args.filter((a) => !IMPLICIT_ARG_TYPES.includes(a.type));
+  const expected = declared.map((a) => ({ name: a.name, type: a.type, title: a.title, required: a.required }));
+  const details = (extra) => ({
+    card: { id: card.id, title: card.title },
+    ...extra,
+    expected,
+    help: declared.length
+      ? `expected args: ${declared.map((a) => `${a.name} (${a.type}${a.required ? '' : ', optional'})`).join(', ')}`
+      : 'this card takes no args',
+  });
+
+  const byName = new Map(declared.map((a) => [a.name, a]));
+  const unknown = Object.keys(raw).filter((k) => !byName.has(k));
+  if (unknown.length) {
+    throw cliError('INVALID_VALUE', `unknown arg(s) for card '${card.title || card.id}': ${unknown.join(', ')}`, details({ unknown }));
+  }
+
+  const missing = declared.filter((a) => a.required && !(a.name in raw)).map((a) => a.name);
+  if (missing.length) {
+    throw cliError('INVALID_VALUE', `missing arg(s) for card '${card.title || card.id}': ${missing.join(', ')}`, details({ missing }));
+  }
+
+  const args = {};
+  for (const [name, value] of Object.entries(raw)) {
+    const arg = byName.get(name);
+    const invalid = (reason, extra = {}) => cliError(
+      'INVALID_VALUE',
+      `invalid value for arg '${name}' of card '${card.title || card.id}': ${reason}`,
+      details({ arg: name, value, ...extra })
+    );
+
+    if (arg.type === 'number' || arg.type === 'range') {
+      const n = parseNumber(value);
+      if (n === null) throw invalid('expected a number');
+      if (Number.isFinite(arg.min) && n < arg.min) throw invalid(`${n} is below the minimum of ${arg.min}`);
+      if (Number.isFinite(arg.max) && n > arg.max) throw invalid(`${n} is above the maximum of ${arg.max}`);
+      args[name] = n;
+    } else if (arg.type === 'checkbox') {
+      const b = typeof value === 'boolean' ? value : parseBoolean(value);
+      if (b === null) throw invalid('expected a boolean (true/false/on/off/1/0)');
+      args[name] = b;
+    } else if (arg.type === 'dropdown' && arg.values?.length) {
+      const options = Object.fromEntries(arg.values.map((v) => [String(v.id), v]));
+      try {
+        args[name] = resolveByIdOrName(String(value), options, {
+          typeLabel: `option for '${name}'`,
+          threshold: opts.threshold,
+          getName: (v) => v.label || String(v.id),
+        }).value.id;
+      } catch (err) {
+        throw invalid(err.message, { options: arg.values.map((v) => v.id) });
+      }
+    } else if (arg.type === 'autocomplete' && typeof value === 'string' && opts.autocomplete) {
+      const results = await opts.autocomplete(name, value);
+      const options = Object.fromEntries((results || []).map((r, i) => [String(r.id ?? i), r]));
+      try {
+        args[name] = resolveByIdOrName(value, options, {
+          typeLabel: `option for '${name}'`,
+          threshold: opts.threshold,
+          getName: (r) => r.name,
+        }).value;
+      } catch (err) {
+        throw invalid(err.message, { options: (results || []).map((r) => r.name) });
+      }
+    } else {
+      args[name] = value !== null && typeof value === 'object' ? value : String(value);
+    }
+  }
+
+  return args;
+}
+
+module.exports = {
+  CARD_TYPES,
+  localized,
+  parseCardType,
+  coerceCardArgs,
+};
@@ -2,6 +2,42 @@ const { AthomCloudAPI, HomeyAPI } = require('homey-api');
 const fuzzy = require('./fuzzy');
 const { cliError } = require('./errors');
 const { resolveByIdOrName } = require('./resolve');
+const { localized, coerceCardArgs } = require('./cards');
+const { indexZones, zonePathNames, zonePath } = require('./zones');
+const { APP_ID_PATTERN, countDevicesByApp } = require('./apps');
+const { formatRepetition, nextAlarmOccurrence } = require('./alarms');
+const {
+  EXPORT_VERSION,
+  getTriggerCard,
+  normalizeTokenDefinitions,
+  coerceFlowTokens,
+  flowDefinition,
+  referencedIds,
+  replaceIds,
+  mapDevicesByName,
+  findCardReferences,
+  lintFlows,
+} = require('./flows');
+
+/**
+ * Whether an API error means the operation doesn't exist on this Homey (e.g. older firmware).
+ * @param {Error & {statusCode?: number}} err
+ * @returns {boolean}
+ */
+function isUnsupportedError(err) {
+  return [404, 405, 501].includes(err?.statusCode);
+}
+
+/**
+ * Catch handler for optional reads: null when the token may not read it (403) or the
+ * operation doesn't exist; any other error is rethrown.
+ * @param {Error & {statusCode?: number}} err
+ * @returns {null}
+ */
+function nullIfUnreadable(err) {
+  if (err?.statusCode === 403 || isUnsupportedError(err)) return null;
+  throw err;
+}
 
 /**
  * Homey API client wrapper
@@ -23,9 +59,16 @@ class HomeyClient {
       this.localToken = null;
     }
 
+    // Cloud mode: name or id of the Homey to use (default: the first one on the account).
+    this.homeySelector = opts.homey || null;
+    this.homeySource = opts.homey ? opts.homeySource || null : 'default';
+    this.threshold = opts.threshold;
+
     this.api = null;
     this.homeyApi = null;
     this.homey = null;
+    this.timezone = undefined;
+    this.zonesList = null;
   }
 
   /**
@@ -55,49 +98,139 @@ class HomeyClient {
     }
 
     // Cloud mode
+    const user = await this._getCloudUser();
+    this.homey = this.homeySelector
+      ? this._resolveCloudHomey(user, this.homeySelector, { threshold: this.threshold })
+      : user.getFirstHomey();
+    this.homeyApi = await this.homey.authenticate();
+
+    return this.homeyApi;
+  }
+
+  async _getCloudUser() {
     if (!this.cloudToken) {
       throw cliError('NO_TOKEN', 'HOMEY_TOKEN is required for cloud mode');
     }
 
-    // Wrap the user-provided token as an OAuth bearer token.
-    const token = new AthomCloudAPI.Token({
-      token_type: 'bearer',
-      access_token: this.cloudToken,
-      refresh_token: null,
-      expires_in: 0,
-      grant_type: 'personal_access_token',
-    });
+    if (!this.api) {
+      // Wrap the user-provided token as an OAuth bearer token.
+      const token = new AthomCloudAPI.Token({
+        token_type: 'bearer',
+        access_token: this.cloudToken,
+        refresh_token: null,
+        expires_in: 0,
+        grant_type: 'personal_access_token',
+      });
 
-    this.api = new AthomCloudAPI({
-      token,
-      // PATs can't be refreshed by the SDK.
-      autoRefreshTokens: false,
-    });
+      this.api = new AthomCloudAPI({
+        token,
+        // PATs can't be refreshed by the SDK.
+        autoRefreshTokens: false,
+      });
+    }
 
-    const user = await this.api.getAuthenticatedUser();
-    this.homey = await user.getFirstHomey();
-    this.homeyApi = await this.homey.authenticate();
+    return this.api.getAuthenticatedUser();
+  }
 
-    return this.homeyApi;
+  /**
+   * Pick a Homey of the cloud account by ID or name (fuzzy)
+   * @returns {object} AthomCloudAPI.Homey
+   */
+  _resolveCloudHomey(user, nameOrId, options = {}) {
+    const homeysObj = Object.fromEntries(user.getHomeys().map((homey) => [homey.id, homey]));
+
+    return resolveByIdOrName(nameOrId, homeysObj, {
+      typeLabel: 'Homey',
+      threshold: options.threshold,
+      getName: (h) => h.name,
+    }).value;
+  }
+
+  /**
+   * Get a Homey of the cloud account by ID or name (fuzzy), without connecting to it
+   * @param {string} nameOrId
+   */
+  async getCloudHomey(nameOrId, options = {}) {
+    const user = await this._getCloudUser();
+    return this._pickCloudHomey(this._resolveCloudHomey(user, nameOrId, options), options);
+  }
+
+  _pickCloudHomey(homey, options = {}) {
+    const state = homey.state ?? null;
+    const picked = {
+      id: homey.id,
+      name: homey.name || null,
+      platform: homey.platform || null,
+      platformVersion: homey.platformVersion ?? null,
+      model: homey.modelName || homey.model || null,
+      firmware: homey.softwareVersion || null,
+      online: typeof homey.online === 'boolean'
+        ? homey.online
+        : typeof state === 'string' ? state.startsWith('online') : null,
+      selected: this.homey?.id === homey.id,
+    };
+
+    if (options.raw) {
+      picked.raw = homey;
+    }
+
+    return picked;
+  }
+
+  /**
+   * List the Homeys of the cloud account. `selected` marks the one commands would use.
+   * @returns {Promise<Array>}
+   */
+  async getHomeys(options = {}) {
+    const user = await this._getCloudUser();
+    const homeys = user.getHomeys();
+
+    if (!this.homey && homeys.length) {
+      try {
+        this.homey = this.homeySelector
+          ? this._resolveCloudHomey(user, this.homeySelector, { threshold: this.threshold })
+          : homeys[0];
+      } catch (err) {
+        // A stale --homey/default should not hide the list that helps fix it.
+        this.homey = null;
+      }
+    }
+
+    return homeys.map((homey) => this._pickCloudHomey(homey, options));
   }
 
   async _ensureConnected() {
-    if (!this.homeyApi) await this.connect();
+    if (this.homeyApi) return;
+    // Share a single connect() between concurrent calls (e.g. snapshot's Promise.all).
+    if (!this._connecting) {
+      this._connecting = this.connect().finally(() => {
+        this._connecting = null;
+      });
+    }
+    await this._connecting;
   }
 
-  _pickDevice(id, device, options = {}) {
+  /**
+   * @param {string} id
+   * @param {object} device
+   * @param {object} [options]
+   * @param {Array<object>} [zones] raw zones, used for zoneName fallback and zonePath
+   */
+  _pickDevice(id, device, options = {}, zones = null) {
     const capabilitiesObj = device.capabilitiesObj || {};
     const values = Object.fromEntries(
       Object.entries(capabilitiesObj).map(([capabilityId, cap]) => [capabilityId, cap?.value])
     );
+    const zoneName = device.zoneName || indexZones(zones).get(device.zone)?.name || null;
 
     const picked = {
       id,
       name: device.name,
-      // Both are useful: zoneId for lookups, zoneName for display
+      // Both are useful: zoneId for lookups, zoneName/zonePath for display
       zoneId: device.zone || null,
-      zoneName: device.zoneName || null,
-      zone: device.zoneName || device.zone || null,
+      zoneName,
+      zonePath: zones && device.zone ? zonePath(device.zone, zones) : null,
+      zone: zoneName || device.zone || null,
       class: device.class,
       driverId: device.driverId || null,
       uri: device.uri || null,
@@ -106,6 +239,8 @@ class HomeyClient {
       values,
       available: device.available,
       ready: device.ready,
+      // Whole-home meters (e.g. a P1 dongle) measure what the other devices already report.
+      mainMeter: Boolean((device.energyObj || device.energy)?.cumulative),
     };
 
     if (options.raw) {
@@ -115,12 +250,19 @@ class HomeyClient {
     return picked;
   }
 
-  _pickFlow(id, flow, options = {}) {
+  /**
+   * @param {string} id
+   * @param {{type: 'standard'|'advanced', flow: object}} entry see _getFlowEntries()
+   */
+  _pickFlow(id, entry, options = {}, folders = null) {
+    const { type, flow } = entry;
     const picked = {
       id,
       name: flow.name,
+      type,
       enabled: flow.enabled,
       folder: flow.folder || null,
+      folderName: (flow.folder && folders?.[flow.folder]?.name) || null,
     };
 
     if (options.raw) {
@@ -130,6 +272,76 @@ class HomeyClient {
     return picked;
   }
 
+  _pickFlowFolder(id, folder) {
+    return {
+      id,
+      name: folder.name,
+      parent: folder.parent || null,
+    };
+  }
+
+  /**
+   * @param {'action'|'condition'|'trigger'} type
+   * @param {object} card FlowCardAction/FlowCardCondition/FlowCardTrigger
+   */
+  _pickFlowCard(type, card, options = {}) {
+    const picked = {
+      id: card.id,
+      type,
+      // `uri` is deprecated on v3 flow cards (and warns when read); ownerUri replaces it.
+      ownerUri: card.ownerUri || null,
+      title: localized(card.title),
+      deprecated: Boolean(card.deprecated),
+      args: (card.args || []).map((a) => ({
+        name: a.name,
+        type: a.type,
+        title: localized(a.title),
+        required: a.required !== false,
+        ...(Number.isFinite(a.min) ? { min: a.min } : {}),
+        ...(Number.isFinite(a.max) ? { max: a.max } : {}),
+        ...(Array.isArray(a.values) ? { values: a.values.map((v) => ({ id: v.id, label: localized(v.label) })) } : {}),
+      })),
+      tokens: normalizeTokenDefinitions(card.tokens),
+    };
+
+    if (options.raw) {
+      picked.raw = card;
+    }
+
+    return picked;
+  }
+
+  _pickVariable(id, variable, options = {}) {
+    const picked = {
+      id,
+      name: variable.name,
+      type: variable.type,
+      value: variable.value,
+    };
+
+    if (options.raw) {
+      picked.raw = variable;
+    }
+
+    return picked;
+  }
+
+  _pickZone(id, zone, options = {}, zones = null) {
+    const picked = {
+      id,
+      name: zone.name,
+      parent: zone.parent,
+      zonePath: zones ? zonePath(id, zones) : null,
+      icon: zone.icon,
+    };
+
+    if (options.raw) {
+      picked.raw = zone;
+    }
+
+    return picked;
+  }
+
   /**
    * Get all devices
    * @returns {Promise<Array>} Array of devices
@@ -137,8 +349,40 @@ class HomeyClient {
   async getDevices(options = {}) {
     await this._ensureConnected();
 
-    const devicesObj = await this.homeyApi.devices.getDevices();
-    return Object.entries(devicesObj).map(([id, device]) => this._pickDevice(id, device, options));
+    const [devicesObj, zones] = await Promise.all([this.homeyApi.devices.getDevices(), this._getZonesList()]);
+    return Object.entries(devicesObj).map(([id, device]) => this._pickDevice(id, device, options, zones));
+  }
+
+  /**
+   * Raw zones as an array. Read once per client, since most commands need them for
+   * several lookups (zone names, paths, resolving a zone).
+   * @returns {Promise<Array<object>>}
+   */
+  async _fetchZones() {
+    await this._ensureConnected();
+
+    if (!this.zonesList) {
+      this.zonesList = this.homeyApi.zones.getZones()
+        .then((zonesObj) => Object.entries(zonesObj).map(([id, zone]) => ({ ...zone, id })));
+      // Don't cache failures.
+      this.zonesList.catch(() => {
+        this.zonesList = null;
+      });
+    }
+    return this.zonesList;
+  }
+
+  /**
+   * Raw zones for zone names and paths of other items; empty when the token may not read zones.
+   * @returns {Promise<Array<object>>}
+   */
+  async _getZonesList() {
+    try {
+      return await this._fetchZones();
+    } catch (err) {
+      if (err?.statusCode === 403 || isUnsupportedError(err)) return [];
+      throw err;
+    }
   }
 
   /**
@@ -149,15 +393,16 @@ class HomeyClient {
   async getDevice(nameOrId, options = {}) {
     await this._ensureConnected();
 
-    const devicesObj = await this.homeyApi.devices.getDevices();
+    const [devicesObj, zones] = await Promise.all([this.homeyApi.devices.getDevices(), this._getZonesList()]);
 
     const resolved = resolveByIdOrName(nameOrId, devicesObj, {
       typeLabel: 'device',
       threshold: options.threshold,
       getName: (d) => d.name,
+      getPath: (d) => zonePathNames(d.zone, zones),
     });
 
-    return this._pickDevice(resolved.id, resolved.value, options);
+    return this._pickDevice(resolved.id, resolved.value, options, zones);
   }
 
   /**
@@ -190,14 +435,181 @@ class HomeyClient {
   }
 
   /**
-   * Get all flows
-   * @returns {Promise<Array>} Array of flows
+   * Subscribe to realtime capability changes.
+   *
+   * Uses Homey's realtime socket events (local + cloud). The SDK reconnects dropped
+   * sockets by itself; after a reconnect we re-read all devices so changes that
+   * happened while offline are still reported.
+   *
+   * @param {object} opts
+   * @param {(device: object) => boolean} [opts.filter] Filter on picked devices
+   * @param {(change: object) => void} opts.onChange
+   * @param {(state: 'disconnected'|'reconnected', reason?: string) => void} [opts.onConnection]
+   * @returns {Promise<{devices: Array, close: () => Promise<void>}>}
    */
-  async getFlows(options = {}) {
+  async subscribeCapabilities(opts = {}) {
+    await this._ensureConnected();
+
+    const filter = opts.filter || (() => true);
+    const onConnection = opts.onConnection || (() => {});
+
+    const [devicesObj, zones] = await Promise.all([this.homeyApi.devices.getDevices(), this._getZonesList()]);
+    const watched = new Map();
+    const lastValues = new Map();
+    const instances = [];
+
+    const emitChange = (deviceId, capabilityId, value) => {
+      const device = watched.get(deviceId);
+      if (!device) return;
+
+      const key = `${deviceId}:${capabilityId}`;
+      const oldValue = lastValues.get(key) ?? null;
+      if (oldValue === value) return;
+      lastValues.set(key, value);
+
+      opts.onChange({
+        deviceId,
+        name: device.name,
+        zoneId: device.zoneId,
+        zoneName: device.zoneName,
+        zonePath: device.zonePath,
+        capability: capabilityId,
+        oldValue,
+        value,
+        timestamp: new Date().toISOString(),
+      });
+    };
+
+    for (const [id, device] of Object.entries(devicesObj)) {
+      const picked = this._pickDevice(id, device, {}, zones);
+      if (!filter(picked)) continue;
+
+      watched.set(id, picked);
+      for (const capabilityId of picked.capabilities) {
+        lastValues.set(`${id}:${capabilityId}`, picked.values[capabilityId]);
+        instances.push(
+          device.makeCapabilityInstance(capabilityId, (value) => emitChange(id, capabilityId, value))
+        );
+      }
+    }
+
+    const onDisconnect = (reason) => onConnection('disconnected', reason);
+    const onReconnect = async () => {
+      onConnection('reconnected');
+      try {
+        const fresh = await this.homeyApi.devices.getDevices({ $cache: false });
+        for (const [id, device] of Object.entries(fresh)) {
+          if (!watched.has(id)) continue;
+          for (const [capabilityId, cap] of Object.entries(device.capabilitiesObj || {})) {
+            emitChange(id, capabilityId, cap?.value);
+          }
+        }
+      } catch {
+        // Best-effort resync; realtime events keep flowing regardless.
+      }
+    };
+
+    this.homeyApi.on('disconnect', onDisconnect);
+    this.homeyApi.on('reconnect', onReconnect);
+
+    const close = async () => {
+      this.homeyApi.off('disconnect', onDisconnect);
+      this.homeyApi.off('reconnect', onReconnect);
+      for (const instance of instances) instance.destroy();
+      if (typeof this.homeyApi.disconnect === 'function') {
+        await this.homeyApi.disconnect().catch(() => {});
+      }
+    };
+
+    return { devices: Array.from(watched.values()), close };
+  }
+
+  /**
+   * Standard and Advanced Flows keyed by id.
+   * @returns {Promise<Record<string, {type: 'standard'|'advanced', flow: object}>>}
+   */
+  async _getFlowEntries() {
+    await this._ensureConnected();
+
+    const [flowsObj, advancedFlowsObj] = await Promise.all([
+      this.homeyApi.flow.getFlows(),
+      // Advanced Flows don't exist on older Homey firmware.
+      typeof this.homeyApi.flow.getAdvancedFlows === 'function'
+        ? this.homeyApi.flow.getAdvancedFlows().catch((err) => {
+          if (isUnsupportedError(err)) return {};
+          throw err;
+        })
+        : {},
+    ]);
+
+    const entries = {};
+    for (const [id, flow] of Object.entries(flowsObj)) entries[id] = { type: 'standard', flow };
+    for (const [id, flow] of Object.entries(advancedFlowsObj)) entries[id] = { type: 'advanced', flow };
+    return entries;
+  }
+
+  /**
+   * Resolve a (standard or advanced) flow by ID or name (fuzzy)
+   * @returns {Promise<{id: string, type: 'standard'|'advanced', flow: object}>}
+   */
+  async _resolveFlow(nameOrId, options = {}) {
+    const entries = await this._getFlowEntries();
+
+    const resolved = resolveByIdOrName(nameOrId, entries, {
+      typeLabel: 'flow',
+      threshold: options.threshold,
+      getName: (e) => e.flow.name,
+    });
+
+    return { id: resolved.id, ...resolved.value };
+  }
+
+  /**
+   * Flow folders keyed by id (empty on firmware without folder support).
+   * @returns {Promise<Record<string, object>>}
+   */
+  async _getFlowFoldersObj() {
     await this._ensureConnected();
 
-    const flowsObj = await this.homeyApi.flow.getFlows();
-    return Object.entries(flowsObj).map(([id, flow]) => this._pickFlow(id, flow, options));
+    if (typeof this.homeyApi.flow.getFlowFolders !== 'function') return {};
+    return this.homeyApi.flow.getFlowFolders().catch((err) => {
+      if (isUnsupportedError(err)) return {};
+      throw err;
+    });
+  }
+
+  /**
+   * Get all flow folders
+   * @returns {Promise<Array<{id: string, name: string, parent: string|null}>>}
+   */
+  async getFlowFolders() {
+    const foldersObj = await this._getFlowFoldersObj();
+    return Object.entries(foldersObj).map(([id, folder]) => this._pickFlowFolder(id, folder));
+  }
+
+  /**
+   * Get flow folder by ID or name (fuzzy)
+   * @param {string} nameOrId Folder name or ID
+   */
+  async getFlowFolder(nameOrId, options = {}) {
+    const foldersObj = await this._getFlowFoldersObj();
+
+    const resolved = resolveByIdOrName(nameOrId, foldersObj, {
+      typeLabel: 'flow folder',
+      threshold: options.threshold,
+      getName: (f) => f.name,
+    });
+
+    return this._pickFlowFolder(resolved.id, resolved.value);
+  }
+
+  /**
+   * Get all flows (standard + advanced)
+   * @returns {Promise<Array>} Array of flows
+   */
+  async getFlows(options = {}) {
+    const [entries, folders] = await Promise.all([this._getFlowEntries(), this._getFlowFoldersObj()]);
+    return Object.entries(entries).map(([id, entry]) => this._pickFlow(id, entry, options, folders));
   }
 
   /**
@@ -206,7 +618,7 @@ class HomeyClient {
   async searchDevices(query, options = {}) {
     await this._ensureConnected();
 
-    const devicesObj = await this.homeyApi.devices.getDevices();
+    const [devicesObj, zones] = await Promise.all([this.homeyApi.devices.getDevices(), this._getZonesList()]);
     const entries = Object.entries(devicesObj).map(([id, device]) => ({
       id,
       name: device.name,
@@ -215,72 +627,1105 @@ class HomeyClient {
 
     const q = String(query || '').trim();
     if (!q) {
-      return Object.entries(devicesObj).map(([id, device]) => this._pickDevice(id, device, options));
+      return Object.entries(devicesObj).map(([id, device]) => this._pickDevice(id, device, options, zones));
     }
 
     const matches = fuzzy.fuzzySearch(q, entries, options.limit ?? 50);
-    return matches.map(m => this._pickDevice(m.id, m.device, options));
+    return matches.map(m => this._pickDevice(m.id, m.device, options, zones));
   }
 
   /**
    * Search flows by query (returns multiple matches)
    */
   async searchFlows(query, options = {}) {
-    await this._ensureConnected();
-
-    const flowsObj = await this.homeyApi.flow.getFlows();
-    const entries = Object.entries(flowsObj).map(([id, flow]) => ({
+    const [flowEntries, folders] = await Promise.all([this._getFlowEntries(), this._getFlowFoldersObj()]);
+    const entries = Object.entries(flowEntries).map(([id, entry]) => ({
       id,
-      name: flow.name,
-      flow,
+      name: entry.flow.name,
+      entry,
     }));
 
     const q = String(query || '').trim();
     if (!q) {
-      return Object.entries(flowsObj).map(([id, flow]) => this._pickFlow(id, flow, options));
+      return Object.entries(flowEntries).map(([id, entry]) => this._pickFlow(id, entry, options, folders));
     }
 
     const matches = fuzzy.fuzzySearch(q, entries, options.limit ?? 50);
-    return matches.map(m => this._pickFlow(m.id, m.flow, options));
+    return matches.map(m => this._pickFlow(m.id, m.entry, options, folders));
   }
 
   /**
-   * Trigger a flow by ID or name
-   * @param {string} nameOrId Flow name or ID
+   * Flows with cards that reference an id (device, logic variable, ...).
+   * @param {string} id
+   * @returns {Promise<Array>} picked flows with `cards: [{key, type, id}]`
    */
-  async triggerFlow(nameOrId, options = {}) {
+  async getFlowUsages(id, options = {}) {
+    const [entries, folders] = await Promise.all([this._getFlowEntries(), this._getFlowFoldersObj()]);
+
+    const usages = [];
+    for (const [flowId, entry] of Object.entries(entries)) {
+      const cards = findCardReferences(entry, id);
+      if (cards.length) usages.push({ ...this._pickFlow(flowId, entry, options, folders), cards });
+    }
+    return usages;
+  }
+
+  /**
+   * Lint all flows (see lintFlows()).
+   * Variable, app and card checks are skipped when the token may not read those managers;
+   * other read errors fail the lint.
+   * @returns {Promise<{issues: Array, skipped: string[]}>}
+   */
+  async lintFlows() {
     await this._ensureConnected();
 
-    const flowsObj = await this.homeyApi.flow.getFlows();
+    const optional = (manager, method) => (typeof manager?.[method] === 'function'
+      ? manager[method]().catch(nullIfUnreadable)
+      : Promise.resolve(null));
+    const [entries, devicesObj, variablesObj, appsObj, triggers, conditions, actions] = await Promise.all([
+      this._getFlowEntries(),
+      this.homeyApi.devices.getDevices(),
+      optional(this.homeyApi.logic, 'getVariables'),
+      optional(this.homeyApi.apps, 'getApps'),
+      optional(this.homeyApi.flow, 'getFlowCardTriggers'),
+      optional(this.homeyApi.flow, 'getFlowCardConditions'),
+      optional(this.homeyApi.flow, 'getFlowCardActions'),
+    ]);
 
-    const resolved = resolveByIdOrName(nameOrId, flowsObj, {
-      typeLabel: 'flow',
-      threshold: options.threshold,
-      getName: (f) => f.name,
+    const skipped = [];
+    if (!variablesObj) skipped.push('variables');
+    if (!appsObj) skipped.push('apps');
+
+    const cardIds = (cards) => new Set(Object.values(cards).map((c) => c.id));
+    const haveCards = triggers && conditions && actions;
+    if (!haveCards) skipped.push('cards');
+
+    const issues = lintFlows(entries, {
+      deviceIds: new Set(Object.keys(devicesObj)),
+      variableIds: variablesObj ? new Set(Object.keys(variablesObj)) : null,
+      appIds: appsObj ? new Set(Object.keys(appsObj)) : null,
+      cardIds: haveCards
+        ? { trigger: cardIds(triggers), condition: cardIds(conditions), action: cardIds(actions) }
+        : null,
     });
 
-    await resolved.value.trigger();
-    return this._pickFlow(resolved.id, resolved.value, options);
+    return { issues, skipped };
   }
 
   /**
-   * Get all zones
-   * @returns {Promise<Array>} Array of zones
+   * Trigger a (standard or advanced) flow by ID or name
+   * @param {string} nameOrId Flow name or ID
+   * @param {{tokens?: Record<string, any>}} [options] tokens are validated against the trigger card
    */
-  async getZones(options = {}) {
+  async triggerFlow(nameOrId, options = {}) {
+    const resolved = await this._resolveFlow(nameOrId, options);
+
+    let tokens;
+    if (options.tokens && Object.keys(options.tokens).length) {
+      const definitions = await this._getFlowTriggerTokens(resolved);
+      tokens = coerceFlowTokens(definitions, options.tokens, {
+        flow: { id: resolved.id, name: resolved.flow.name },
+      });
+    }
+
+    // Tokens are not declared in the trigger operation spec, so they go in the raw body.
+    const params = tokens ? { id: resolved.id, $body: { tokens } } : { id: resolved.id };
+
+    if (resolved.type === 'advanced') {
+      await this.homeyApi.flow.triggerAdvancedFlow(params);
+    } else {
+      await this.homeyApi.flow.triggerFlow(params);
+    }
+
+    const picked = this._pickFlow(resolved.id, resolved, options);
+    if (tokens) picked.tokens = tokens;
+    return picked;
+  }
+
+  /**
+   * Token definitions of a flow's trigger card.
+   * Per-flow tokens on the card (e.g. "This flow is started" with tags) take precedence
+   * over the tokens declared by the card definition.
+   * @param {{type: string, flow: object}} resolved see _resolveFlow()
+   * @returns {Promise<Array<{id: string, type: string|null, title: string|null}>>}
+   */
+  async _getFlowTriggerTokens(resolved) {
+    const trigger = getTriggerCard(resolved);
+    if (!trigger) return [];
+
+    const own = normalizeTokenDefinitions(trigger.tokens);
+    if (own.length) return own;
+
+    const cards = await this._getFlowCardsObj('trigger');
+    const card = cards[trigger.id] || Object.values(cards).find((c) => c.id === trigger.id);
+    return normalizeTokenDefinitions(card?.tokens);
+  }
+
+  /**
+   * Enable or disable a (standard or advanced) flow by ID or name
+   * @param {string} nameOrId Flow name or ID
+   * @param {boolean} enabled
+   */
+  async setFlowEnabled(nameOrId, enabled, options = {}) {
+    const resolved = await this._resolveFlow(nameOrId, options);
+    await this._updateFlowEnabled(resolved, enabled);
+
+    const picked = this._pickFlow(resolved.id, resolved, options);
+    picked.enabled = enabled;
+    return picked;
+  }
+
+  /**
+   * Enable or disable several already-resolved flows (e.g. all flows of a folder).
+   * Failures are reported per flow instead of aborting the batch.
+   * @param {Array<{id: string, name: string, type: 'standard'|'advanced'}>} flows picked flows
+   * @param {boolean} enabled
+   */
+  async setFlowsEnabled(flows, enabled) {
     await this._ensureConnected();
 
-    const zonesObj = await this.homeyApi.zones.getZones();
-    return Object.entries(zonesObj).map(([id, zone]) => {
-      const picked = {
-        id,
-        name: zone.name,
-        parent: zone.parent,
-        icon: zone.icon,
+    return Promise.all(flows.map(async (flow) => {
+      const result = { id: flow.id, name: flow.name, type: flow.type, folderName: flow.folderName ?? null };
+      try {
+        await this._updateFlowEnabled(flow, enabled);
+        return { ...result, success: true, enabled };
+      } catch (err) {
+        return {
+          ...result,
+          success: false,
+          error: { code: err?.code || 'ERROR', message: err?.message || String(err) },
+        };
+      }
+    }));
+  }
+
+  /**
+   * Export full flow definitions (one flow, or all with nameOrId=null).
+   * Referenced devices are included by name so they can be mapped on import.
+   * @param {string|null} nameOrId Flow name or ID
+   */
+  async exportFlows(nameOrId, options = {}) {
+    const [entries, foldersObj, devices] = await Promise.all([
+      this._getFlowEntries(),
+      this._getFlowFoldersObj(),
+      this.getDevices(),
+    ]);
+
+    const selected = nameOrId
+      ? [await this._resolveFlow(nameOrId, options)]
+      : Object.entries(entries).map(([id, entry]) => ({ id, ...entry }));
+
+    const devicesById = new Map(devices.map((d) => [d.id, d]));
+    const referenced = {};
+
+    const flows = selected.map((entry) => {
+      const definition = flowDefinition(entry);
+      for (const id of referencedIds(definition, devicesById.keys())) {
+        const d = devicesById.get(id);
+        referenced[id] = { name: d.name, zoneName: d.zoneName || null };
+      }
+      return {
+        id: entry.id,
+        type: entry.type,
+        folderName: (definition.folder && foldersObj[definition.folder]?.name) || null,
+        definition,
       };
-      if (options.raw) picked.raw = zone;
-      return picked;
     });
+
+    return {
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      homey: { id: this.homey?.id || this.homeyApi?.id || null, name: this.homey?.name || this.homeyApi?.name || null },
+      folders: Object.entries(foldersObj).map(([id, folder]) => this._pickFlowFolder(id, folder)),
+      devices: referenced,
+      flows,
+    };
+  }
+
+  /**
+   * Recreate or update flows from an export document (see exportFlows()).
+   *
+   * Existing flows (same id, or same name and type) are skipped unless overwrite=true.
+   * Device ids unknown on this Homey are mapped by device name; folders by id, then name.
+   *
+   * @param {object} doc parsed export document
+   * @param {{dryRun?: boolean, overwrite?: boolean}} [options]
+   */
+  async importFlows(doc, options = {}) {
+    const [entries, foldersObj, devices] = await Promise.all([
+      this._getFlowEntries(),
+      this._getFlowFoldersObj(),
+      this.getDevices(),
+    ]);
+
+    const deviceMap = mapDevicesByName(doc.devices, devices);
+    const idMap = new Map(deviceMap.filter((m) => m.to).map((m) => [m.from, m.to]));
+    const unmapped = deviceMap.filter((m) => !m.to);
+
+    const folderIdFor = (folderId, folderName) => {
+      if (folderId && foldersObj[folderId]) return folderId;
+      const lower = String(folderName || '').toLowerCase();
+      const match = folderName && Object.entries(foldersObj).find(([, f]) => String(f.name).toLowerCase() === lower);
+      return match ? match[0] : null;
+    };
+
+    const results = [];
+    for (const item of doc.flows) {
+      const definition = replaceIds(item.definition, idMap);
+      const warnings = [];
+
+      const folder = folderIdFor(definition.folder, item.folderName);
+      if (definition.folder && !folder) {
+        warnings.push(`folder '${item.folderName || definition.folder}' not found; importing without folder`);
+      }
+      definition.folder = folder || undefined;
+
+      for (const m of unmapped) {
+        if (referencedIds(item.definition, [m.from]).length) {
+          warnings.push(`device '${m.name}' ${m.status === 'ambiguous' ? 'matches several devices' : 'not found'}; card keeps id ${m.from}`);
+        }
+      }
+
+      const sameName = Object.entries(entries).filter(
+        ([, e]) => e.type === item.type && e.flow.name === definition.name
+      );
+      const existingId = entries[item.id]?.type === item.type
+        ? item.id
+        : (sameName.length === 1 ? sameName[0][0] : null);
+
+      const result = { name: definition.name, type: item.type, id: existingId, warnings };
+
+      if (existingId && !options.overwrite) {
+        results.push({ ...result, action: 'skip', success: true });
+        continue;
+      }
+
+      const action = existingId ? 'update' : 'create';
+      if (options.dryRun) {
+        results.push({ ...result, action, success: true });
+        continue;
+      }
+
+      try {
+        const saved = await this._saveFlowDefinition(item.type, existingId, definition);
+        results.push({ ...result, id: saved?.id || existingId, action, success: true });
+      } catch (err) {
+        results.push({
+          ...result,
+          action,
+          success: false,
+          error: { code: err?.code || 'ERROR', message: err?.message || String(err) },
+        });
+      }
+    }
+
+    return { dryRun: Boolean(options.dryRun), devices: deviceMap, results };
+  }
+
+  async _saveFlowDefinition(type, id, definition) {
+    if (type === 'advanced') {
+      return id
+        ? this.homeyApi.flow.updateAdvancedFlow({ id, advancedflow: definition })
+        : this.homeyApi.flow.createAdvancedFlow({ advancedflow: definition });
+    }
+    return id
+      ? this.homeyApi.flow.updateFlow({ id, flow: definition })
+      : this.homeyApi.flow.createFlow({ flow: definition });
+  }
+
+  async _updateFlowEnabled({ id, type }, enabled) {
+    if (type === 'advanced') {
+      await this.homeyApi.flow.updateAdvancedFlow({ id, advancedflow: { enabled } });
+    } else {
+      await this.homeyApi.flow.updateFlow({ id, flow: { enabled } });
+    }
+  }
+
+  /**
+   * Get all zones
+   * @returns {Promise<Array>} Array of zones
+   */
+  async getZones(options = {}) {
+    await this._ensureConnected();
+
+    const zones = await this._fetchZones();
+    return zones.map((zone) => this._pickZone(zone.id, zone, options, zones));
+  }
+
+  /**
+   * Get zone by ID or name (fuzzy)
+   * @param {string} nameOrId Zone name or ID
+   * @returns {Promise<object>} Zone object
+   */
+  async getZone(nameOrId, options = {}) {
+    await this._ensureConnected();
+
+    const zones = await this._fetchZones();
+    const zonesObj = Object.fromEntries(zones.map((zone) => [zone.id, zone]));
+
+    const resolved = resolveByIdOrName(nameOrId, zonesObj, {
+      typeLabel: 'zone',
+      threshold: options.threshold,
+      getName: (z) => z.name,
+      // Qualify by the ancestors only, e.g. "Upstairs/Bathroom".
+      getPath: (z) => zonePathNames(z.parent, zones),
+    });
+
+    return this._pickZone(resolved.id, resolved.value, options, zones);
+  }
+
+  /**
+   * Flow cards of one type keyed by id.
+   * @param {'action'|'condition'|'trigger'} type
+   * @returns {Promise<Record<string, object>>}
+   */
+  async _getFlowCardsObj(type) {
+    await this._ensureConnected();
+
+    if (type === 'trigger') return this.homeyApi.flow.getFlowCardTriggers();
+    if (type === 'condition') return this.homeyApi.flow.getFlowCardConditions();
+    return this.homeyApi.flow.getFlowCardActions();
+  }
+
+  /**
+   * Get all flow cards of a type, optionally only those of one app
+   * @param {'action'|'condition'|'trigger'} type
+   * @param {{app?: string}} [options] app id, e.g. com.athom.sonos
+   */
+  async getFlowCards(type, options = {}) {
+    const cardsObj = await this._getFlowCardsObj(type);
+    const cards = Object.values(cardsObj).map((card) => this._pickFlowCard(type, card, options));
+
+    if (!options.app) return cards;
+    const ownerUri = `homey:app:${options.app}`;
+    return cards.filter((c) => c.ownerUri === ownerUri || String(c.id).startsWith(`${ownerUri}:`));
+  }
+
+  /**
+   * Get flow card by ID or title (fuzzy)
+   * @param {'action'|'condition'|'trigger'} type
+   * @param {string} idOrTitle
+   */
+  async getFlowCard(type, idOrTitle, options = {}) {
+    const cardsObj = await this._getFlowCardsObj(type);
+
+    const resolved = resolveByIdOrName(idOrTitle, cardsObj, {
+      typeLabel: `${type} card`,
+      threshold: options.threshold,
+      getName: (c) => localized(c.title) || c.id,
+    });
+
+    return this._pickFlowCard(type, resolved.value, options);
+  }
+
+  /**
+   * Run an action card, or evaluate a condition card, with validated args.
+   * Dropdown and autocomplete args are resolved by (fuzzy) name.
+   *
+   * @param {'action'|'condition'} type
+   * @param {string} idOrTitle card id or title
+   * @param {Record<string, any>} rawArgs
+   * @returns {Promise<{card: object, args: object, result: any}>}
+   */
+  async runFlowCard(type, idOrTitle, rawArgs = {}, options = {}) {
+    const card = await this.getFlowCard(type, idOrTitle, options);
+    const params = { uri: card.ownerUri, id: card.id };
+
+    const args = await coerceCardArgs(card, rawArgs, {
+      threshold: options.threshold,
+      autocomplete: (name, query) => this.homeyApi.flow.getFlowCardAutocomplete({
+        ...params,
+        type: type === 'condition' ? 'flowcardcondition' : 'flowcardaction',
+        name,
+        query,
+      }),
+    });
+
+    const result = type === 'condition'
+      ? await this.homeyApi.flow.runFlowCardCondition({ ...params, args })
+      : await this.homeyApi.flow.runFlowCardAction({ ...params, args });
+
+    return { card, args, result };
+  }
+
+  /**
+   * Get all logic variables
+   * @returns {Promise<Array>} Array of variables
+   */
+  async getVariables(options = {}) {
+    await this._ensureConnected();
+
+    const variablesObj = await this.homeyApi.logic.getVariables();
+    return Object.entries(variablesObj).map(([id, variable]) => this._pickVariable(id, variable, options));
+  }
+
+  /**
+   * Set a logic variable value (already validated, see parseVariableValue())
+   * @param {string} id Variable ID
+   * @param {string|number|boolean} value
+   */
+  async setVariable(id, value) {
+    await this._ensureConnected();
+    await this.homeyApi.logic.updateVariable({ id, variable: { value } });
+  }
+
+  /**
+   * Create a logic variable
+   * @param {{name: string, type: 'number'|'boolean'|'string', value: any}} variable
+   */
+  async createVariable(variable, options = {}) {
+    await this._ensureConnected();
+
+    const created = await this.homeyApi.logic.createVariable({ variable });
+    return this._pickVariable(created?.id ?? null, { ...variable, ...created }, options);
+  }
+
+  /**
+   * Delete a logic variable
+   * @param {string} id Variable ID
+   */
+  async deleteVariable(id) {
+    await this._ensureConnected();
+    await this.homeyApi.logic.deleteVariable({ id });
+  }
+
+  /**
+   * Get logic variable by ID or name (fuzzy)
+   * @param {string} nameOrId Variable name or ID
+   */
+  async getVariable(nameOrId, options = {}) {
+    await this._ensureConnected();
+
+    const variablesObj = await this.homeyApi.logic.getVariables();
+
+    const resolved = resolveByIdOrName(nameOrId, variablesObj, {
+      typeLabel: 'variable',
+      threshold: options.threshold,
+      getName: (v) => v.name,
+    });
+
+    return this._pickVariable(resolved.id, resolved.value, options);
+  }
+
+  _pickNotification(id, notification, options = {}) {
+    const picked = {
+      id,
+      ownerUri: notification.ownerUri || null,
+      ownerName: notification.ownerName || null,
+      excerpt: notification.excerpt ?? null,
+      dateCreated: notification.dateCreated || null,
+    };
+
+    if (options.raw) {
+      picked.raw = notification;
+    }
+
+    return picked;
+  }
+
+  /**
+   * Get timeline notifications, newest first
+   * @returns {Promise<Array>} Array of notifications
+   */
+  async getNotifications(options = {}) {
+    await this._ensureConnected();
+
+    const notificationsObj = await this.homeyApi.notifications.getNotifications();
+    return Object.entries(notificationsObj)
+      .map(([id, notification]) => this._pickNotification(id, notification, options))
+      .sort((a, b) => String(b.dateCreated || '').localeCompare(String(a.dateCreated || '')));
+  }
+
+  /**
+   * Create a timeline notification.
+   * The notifications manager has no create operation; Homey creates them through its own flow action card.
+   * @param {string} text
+   */
+  async createNotification(text) {
+    await this._ensureConnected();
+
+    await this.homeyApi.flow.runFlowCardAction({
+      uri: 'homey:manager:notifications',
+      id: 'homey:manager:notifications:create_notification',
+      args: { text },
+    });
+  }
+
+  /**
+   * Delete timeline notifications, optionally only those of one owner.
+   * The owner resolves by uri or name (fuzzy) against the owners of the current notifications;
+   * a full `homey:...` uri is used as-is and a bare app id maps to `homey:app:<id>`.
+   * An owner without notifications clears nothing.
+   * @param {string|null} owner
+   * @returns {Promise<{owner: {uri: string, name: string|null}|null, deleted: Array}>}
+   */
+  async clearNotifications(owner = null, options = {}) {
+    await this._ensureConnected();
+
+    const notifications = await this.getNotifications();
+    let ownerRef = null;
+
+    if (owner) {
+      const owners = {};
+      for (const n of notifications) {
+        if (n.ownerUri && !owners[n.ownerUri]) owners[n.ownerUri] = { uri: n.ownerUri, name: n.ownerName };
+      }
+
+      // A bare app id (`com.athom.sonos`) is short for its owner uri.
+      const uri = String(owner).startsWith('homey:') || !APP_ID_PATTERN.test(owner) ? owner : `homey:app:${owner}`;
+
+      if (owners[uri]) {
+        ownerRef = owners[uri];
+      } else if (uri !== owner || uri.startsWith('homey:')) {
+        ownerRef = { uri, name: null };
+      } else {
+        try {
+          ownerRef = resolveByIdOrName(owner, owners, {
+            typeLabel: 'notification owner',
+            threshold: options.threshold,
+            getName: (o) => o.name || o.uri,
+          }).value;
+        } catch (err) {
+          // Owner names come from the current notifications: no match means there is nothing to clear.
+          if (err.code !== 'NOT_FOUND') throw err;
+          return { owner: { uri: null, name: owner }, deleted: [] };
+        }
+      }
+    }
+
+    await this.homeyApi.notifications.deleteNotifications(ownerRef ? { ownerUri: ownerRef.uri } : {});
+
+    return {
+      owner: ownerRef,
+      deleted: ownerRef ? notifications.filter((n) => n.ownerUri === ownerRef.uri) : notifications,
+    };
+  }
+
+  _pickUser(id, user, options = {}, meId = null) {
+    const picked = {
+      id,
+      name: user.name ?? null,
+      role: user.role || null,
+      present: user.present ?? null,
+      asleep: user.asleep ?? null,
+      enabled: user.enabled ?? true,
+      me: meId !== null && id === meId,
+    };
+
+    if (options.raw) {
+      picked.raw = user;
+    }
+
+    return picked;
+  }
+
+  /**
+   * Id of the user the token belongs to (null when the token may not read it)
+   * @returns {Promise<string|null>}
+   */
+  async _getUserMeId() {
+    try {
+      const me = await this.homeyApi.users.getUserMe();
+      return me?.id ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Get all Homey users with their presence
+   * @returns {Promise<Array>} Array of users
+   */
+  async getUsers(options = {}) {
+    await this._ensureConnected();
+
+    const [usersObj, meId] = await Promise.all([
+      this.homeyApi.users.getUsers(),
+      this._getUserMeId(),
+    ]);
+
+    return Object.entries(usersObj).map(([id, user]) => this._pickUser(id, user, options, meId));
+  }
+
+  /**
+   * Get user by ID or name (fuzzy); `me` is the authenticated user
+   * @param {string} nameOrId
+   */
+  async getUser(nameOrId, options = {}) {
+    await this._ensureConnected();
+
+    if (String(nameOrId).toLowerCase() === 'me') {
+      const me = await this.homeyApi.users.getUserMe();
+      return this._pickUser(me.id, me, options, me.id);
+    }
+
+    const [usersObj, meId] = await Promise.all([
+      this.homeyApi.users.getUsers(),
+      this._getUserMeId(),
+    ]);
+
+    const resolved = resolveByIdOrName(nameOrId, usersObj, {
+      typeLabel: 'user',
+      threshold: options.threshold,
+      getName: (u) => u.name,
+    });
+
+    return this._pickUser(resolved.id, resolved.value, options, meId);
+  }
+
+  /**
+   * Set the present or asleep state of a user.
+   * The authenticated user goes through the `/me` endpoints, which only need the presence.self scope.
+   * @param {{id: string, me: boolean}} user picked user
+   * @param {'present'|'asleep'} state
+   * @param {boolean} value
+   */
+  async setUserPresence(user, state, value) {
+    await this._ensureConnected();
+
+    const presence = this.homeyApi.presence;
+    if (state === 'asleep') {
+      if (user.me) await presence.setAsleepMe({ value });
+      else await presence.setAsleep({ id: user.id, value });
+    } else {
+      if (user.me) await presence.setPresentMe({ value });
+      else await presence.setPresent({ id: user.id, value });
+    }
+  }
+
+  _pickApp(id, app, options = {}, deviceCounts = null) {
+    const picked = {
+      id,
+      name: localized(app.name) || id,
+      version: app.version || null,
+      channel: app.channel || null,
+      origin: app.origin || null,
+      state: app.state || null,
+      enabled: app.enabled ?? null,
+      crashed: Boolean(app.crashed),
+      crashedMessage: app.crashedMessage || null,
+      crashedCount: app.crashedCount ?? null,
+      updateAvailable: Boolean(app.updateAvailable),
+      autoupdate: app.autoupdate ?? null,
+      hasSettings: Boolean(app.settings),
+      usage: app.usage || null,
+      deviceCount: deviceCounts ? deviceCounts.get(id) || 0 : null,
+    };
+
+    if (options.raw) {
+      picked.raw = app;
+    }
+
+    return picked;
+  }
+
+  async _getAppDeviceCounts() {
+    const devicesObj = await this.homeyApi.devices.getDevices();
+    return countDevicesByApp(Object.entries(devicesObj).map(([id, device]) => this._pickDevice(id, device)));
+  }
+
+  /**
+   * Get all installed apps, with the number of devices each app provides
+   * @returns {Promise<Array>} Array of apps
+   */
+  async getApps(options = {}) {
+    await this._ensureConnected();
+
+    const [appsObj, deviceCounts] = await Promise.all([
+      this.homeyApi.apps.getApps(),
+      this._getAppDeviceCounts(),
+    ]);
+
+    return Object.entries(appsObj).map(([id, app]) => this._pickApp(id, app, options, deviceCounts));
+  }
+
+  /**
+   * Get app by ID or name (fuzzy)
+   * @param {string} nameOrId
+   */
+  async getApp(nameOrId, options = {}) {
+    await this._ensureConnected();
+
+    const [appsObj, deviceCounts] = await Promise.all([
+      this.homeyApi.apps.getApps(),
+      this._getAppDeviceCounts(),
+    ]);
+
+    const resolved = resolveByIdOrName(nameOrId, appsObj, {
+      typeLabel: 'app',
+      threshold: options.threshold,
+      getName: (a) => localized(a.name) || '',
+    });
+
+    return this._pickApp(resolved.id, resolved.value, options, deviceCounts);
+  }
+
+  /**
+   * Restart an app
+   * @param {string} id App ID
+   */
+  async restartApp(id) {
+    await this._ensureConnected();
+    await this.homeyApi.apps.restartApp({ id });
+  }
+
+  /**
+   * Enable or disable an app
+   * @param {string} id App ID
+   * @param {boolean} enabled
+   */
+  async setAppEnabled(id, enabled) {
+    await this._ensureConnected();
+
+    if (enabled) await this.homeyApi.apps.enableApp({ id });
+    else await this.homeyApi.apps.disableApp({ id });
+  }
+
+  /**
+   * Get all settings of an app
+   * @param {string} id App ID
+   * @returns {Promise<Record<string, any>>}
+   */
+  async getAppSettings(id) {
+    await this._ensureConnected();
+    return (await this.homeyApi.apps.getAppSettings({ id })) || {};
+  }
+
+  /**
+   * Set an app setting
+   * @param {string} id App ID
+   * @param {string} name Setting key
+   * @param {any} value
+   */
+  async setAppSetting(id, name, value) {
+    await this._ensureConnected();
+    await this.homeyApi.apps.setAppSetting({ id, name, value });
+  }
+
+  /**
+   * @param {Array<object>} zones see _getZonesList()
+   * @param {Record<string, object>} devicesObj raw devices, for device names
+   */
+  _pickMood(id, mood, options = {}, zones = [], devicesObj = {}) {
+    const zone = indexZones(zones).get(mood.zone);
+    const picked = {
+      id,
+      name: mood.name,
+      preset: mood.preset || null,
+      zoneId: mood.zone || null,
+      zoneName: zone?.name || null,
+      zonePath: mood.zone ? zonePath(mood.zone, zones) : null,
+      devices: Object.entries(mood.devices || {}).map(([deviceId, entry]) => ({
+        id: deviceId,
+        name: devicesObj[deviceId]?.name || null,
+        values: entry?.state || {},
+      })),
+    };
+
+    if (options.raw) {
+      picked.raw = mood;
+    }
+
+    return picked;
+  }
+
+  async _getMoodContext() {
+    const [moodsObj, zones, devicesObj] = await Promise.all([
+      this.homeyApi.moods.getMoods(),
+      this._getZonesList(),
+      this.homeyApi.devices.getDevices(),
+    ]);
+    return { moodsObj, zones, devicesObj };
+  }
+
+  /**
+   * Get all moods with the device states they apply
+   * @returns {Promise<Array>} Array of moods
+   */
+  async getMoods(options = {}) {
+    await this._ensureConnected();
+
+    const { moodsObj, zones, devicesObj } = await this._getMoodContext();
+    return Object.entries(moodsObj).map(([id, mood]) => this._pickMood(id, mood, options, zones, devicesObj));
+  }
+
+  /**
+   * Get mood by ID or name (fuzzy); names may be qualified by zone, e.g. "Living room/Movie"
+   * @param {string} nameOrId
+   */
+  async getMood(nameOrId, options = {}) {
+    await this._ensureConnected();
+
+    const { moodsObj, zones, devicesObj } = await this._getMoodContext();
+
+    const resolved = resolveByIdOrName(nameOrId, moodsObj, {
+      typeLabel: 'mood',
+      threshold: options.threshold,
+      getName: (m) => m.name,
+      getPath: (m) => zonePathNames(m.zone, zones),
+    });
+
+    return this._pickMood(resolved.id, resolved.value, options, zones, devicesObj);
+  }
+
+  /**
+   * Activate a mood
+   * @param {string} id Mood ID
+   */
+  async activateMood(id) {
+    await this._ensureConnected();
+    await this.homeyApi.moods.setMood({ id });
+  }
+
+  /**
+   * Homey's timezone (IANA name), read once per client; null when it can't be read.
+   * @returns {Promise<string|null>}
+   */
+  async _getTimezone() {
+    if (this.timezone === undefined) {
+      const info = await this.homeyApi.system.getInfo().catch(() => null);
+      this.timezone = info?.timezone || null;
+    }
+    return this.timezone;
+  }
+
+  _pickAlarm(id, alarm, options = {}, timezone = null) {
+    const picked = {
+      id,
+      name: alarm.name ?? null,
+      time: alarm.time || null,
+      enabled: Boolean(alarm.enabled),
+      repetition: alarm.repetition || null,
+      repeat: formatRepetition(alarm.repetition),
+    };
+    const next = nextAlarmOccurrence(picked, new Date(), timezone);
+    picked.nextOccurrence = next ? next.toISOString() : null;
+    picked.timezone = timezone;
+
+    if (options.raw) {
+      picked.raw = alarm;
+    }
+
+    return picked;
+  }
+
+  /**
+   * Get all alarms
+   * @returns {Promise<Array>} Array of alarms
+   */
+  async getAlarms(options = {}) {
+    await this._ensureConnected();
+
+    const [alarmsObj, timezone] = await Promise.all([this.homeyApi.alarms.getAlarms(), this._getTimezone()]);
+    return Object.entries(alarmsObj).map(([id, alarm]) => this._pickAlarm(id, alarm, options, timezone));
+  }
+
+  /**
+   * Get alarm by ID or name (fuzzy)
+   * @param {string} nameOrId
+   */
+  async getAlarm(nameOrId, options = {}) {
+    await this._ensureConnected();
+
+    const [alarmsObj, timezone] = await Promise.all([this.homeyApi.alarms.getAlarms(), this._getTimezone()]);
+
+    const resolved = resolveByIdOrName(nameOrId, alarmsObj, {
+      typeLabel: 'alarm',
+      threshold: options.threshold,
+      getName: (a) => a.name || '',
+    });
+
+    return this._pickAlarm(resolved.id, resolved.value, options, timezone);
+  }
+
+  /**
+   * Create an alarm
+   * @param {{name: string, time: string, enabled: boolean, repetition: object}} alarm
+   */
+  async createAlarm(alarm, options = {}) {
+    await this._ensureConnected();
+
+    const created = await this.homeyApi.alarms.createAlarm({ alarm });
+    return this._pickAlarm(created?.id ?? null, { ...alarm, ...created }, options, await this._getTimezone());
+  }
+
+  /**
+   * Update an alarm (name, time, enabled and/or repetition)
+   * @param {object} alarm picked alarm
+   * @param {object} changes changed fields
+   */
+  async updateAlarm(alarm, changes, options = {}) {
+    await this._ensureConnected();
+
+    const updated = await this.homeyApi.alarms.updateAlarm({ id: alarm.id, alarm: changes });
+    return this._pickAlarm(alarm.id, { ...alarm, ...changes, ...updated }, options, await this._getTimezone());
+  }
+
+  /**
+   * Delete an alarm
+   * @param {string} id Alarm ID
+   */
+  async deleteAlarm(id) {
+    await this._ensureConnected();
+    await this.homeyApi.alarms.deleteAlarm({ id });
+  }
+
+  _pickInsightLog(id, log, options = {}) {
+    const ownerUri = log.ownerUri || log.uri || null;
+    const picked = {
+      id,
+      ownerUri,
+      // For device logs this is the capability id.
+      ownerId: log.ownerId || (ownerUri && id.startsWith(`${ownerUri}:`) ? id.slice(ownerUri.length + 1) : id),
+      title: log.title || null,
+      type: log.type || null,
+      units: log.units || null,
+      decimals: log.decimals ?? null,
+      lastValue: log.lastValue ?? null,
+    };
+
+    if (options.raw) {
+      picked.raw = log;
+    }
+
+    return picked;
+  }
+
+  /**
+   * Get all Insights logs
+   * @returns {Promise<Array>} Array of logs
+   */
+  async getInsightLogs(options = {}) {
+    await this._ensureConnected();
+
+    const logsObj = await this.homeyApi.insights.getLogs();
+    return Object.entries(logsObj).map(([id, log]) => this._pickInsightLog(log.id || id, log, options));
+  }
+
+  /**
+   * Get entries of an Insights log
+   * @param {{id: string, ownerUri: string}} log Picked log
+   * @param {string} resolution e.g. lastHour, last24Hours, last7Days
+   * @returns {Promise<{values: Array<{t: string, v: any}>, step?: number, start?: string, end?: string}>}
+   */
+  async getInsightEntries(log, resolution) {
+    await this._ensureConnected();
+
+    return this.homeyApi.insights.getLogEntries({
+      id: log.id,
+      uri: log.ownerUri,
+      resolution,
+    });
+  }
+
+  /**
+   * Normalize a memory/storage report to bytes. Homey reports `{ total, free }`;
+   * `used` is derived when missing.
+   * @returns {{total: number|null, free: number|null, used: number|null, usedPercent: number|null}|null}
+   */
+  _pickUsage(report, fallback = {}) {
+    const total = report?.total ?? fallback.total ?? null;
+    const free = report?.free ?? fallback.free ?? null;
+    if (total === null && free === null) return null;
+
+    const used = report?.used ?? (total !== null && free !== null ? total - free : null);
+    return {
+      total,
+      free,
+      used,
+      usedPercent: total && used !== null ? Math.round((used / total) * 1000) / 10 : null,
+    };
+  }
+
+  /**
+   * Get system health: firmware, uptime, memory, storage, network and timezone.
+   * Memory and storage details are null when the token may not read them.
+   * @returns {Promise<object>}
+   */
+  async getSystemInfo(options = {}) {
+    await this._ensureConnected();
+
+    const system = this.homeyApi.system;
+    const optional = (method) => (typeof system[method] === 'function'
+      ? system[method]().catch(nullIfUnreadable)
+      : Promise.resolve(null));
+    const [info, memory, storage] = await Promise.all([
+      system.getInfo(),
+      optional('getMemoryInfo'),
+      optional('getStorageInfo'),
+    ]);
+
+    const uptime = Number.isFinite(info?.uptime) ? Math.round(info.uptime) : null;
+    const picked = {
+      name: this.homey?.name || this.homeyApi?.name || info?.name || info?.hostname || 'Homey',
+      homeyId: this.homey?.id || this.homeyApi?.id || info?.cloudId || null,
+      hostname: info?.hostname || null,
+      model: info?.homeyModelName || info?.homeyModelId || null,
+      firmware: info?.homeyVersion || null,
+      platform: info?.platform || null,
+      platformVersion: info?.platformVersion ?? null,
+      uptime,
+      bootedAt: uptime !== null ? new Date((Math.round(Date.now() / 1000) - uptime) * 1000).toISOString() : null,
+      timezone: info?.timezone || null,
+      memory: this._pickUsage(memory, { total: info?.totalmem, free: info?.freemem }),
+      storage: this._pickUsage(storage),
+      network: {
+        wifi: info?.wifiSsid || info?.wifiAddress || info?.wifiMac
+          ? { ssid: info.wifiSsid || null, address: info.wifiAddress || null, mac: info.wifiMac || null }
+          : null,
+        ethernet: info?.ethernetAddress || info?.ethernetMac
+          ? { address: info.ethernetAddress || null, mac: info.ethernetMac || null }
+          : null,
+      },
+    };
+
+    if (options.raw) {
+      picked.raw = { info, memory, storage };
+    }
+
+    return picked;
+  }
+
+  /**
+   * Get available firmware updates
+   * @returns {Promise<{current: string|null, channel: string|null, autoupdate: boolean|null, updates: Array}>}
+   */
+  async getSystemUpdates(options = {}) {
+    await this._ensureConnected();
+
+    const updates = this.homeyApi.updates;
+    const option = (method) => (typeof updates[method] === 'function'
+      ? updates[method]().then((o) => o?.value ?? null).catch(nullIfUnreadable)
+      : Promise.resolve(null));
+    const [available, info, channel, autoupdate] = await Promise.all([
+      updates.getUpdates(),
+      this.homeyApi.system.getInfo().catch(nullIfUnreadable),
+      option('getOptionChannel'),
+      option('getOptionAutoupdate'),
+    ]);
+
+    const list = Array.isArray(available) ? available : Object.values(available || {});
+    return {
+      current: info?.homeyVersion || null,
+      channel,
+      autoupdate,
+      updates: list.map((u) => ({
+        version: u.version || null,
+        channel: u.channel || null,
+        date: u.date || null,
+        size: u.size ?? null,
+        changelog: localized(u.changelog) || null,
+        ...(options.raw ? { raw: u } : {}),
+      })),
+    };
+  }
+
+  /**
+   * Reboot Homey
+   */
+  async rebootSystem() {
+    await this._ensureConnected();
+    await this.homeyApi.system.reboot();
   }
 
   /**
@@ -316,6 +1761,7 @@ class HomeyClient {
       connected: true,
       connectionMode: this.mode,
       ...(this.mode === 'local' ? { address: this.localAddress } : {}),
+      ...(this.mode === 'cloud' ? { homeySelection: { query: this.homeySelector, source: this.homeySource } } : {}),
     };
   }
 }
@@ -1,18 +1,36 @@
+const fs = require('fs');
 const chalk = require('chalk');
 const Table = require('cli-table3');
 const HomeyClient = require('./client');
 const config = require('./config');
 const { discoverLocalHomeys, formatCandidates, requireDiscovered } = require('./discover-local');
+const { zoneDescendantIds, zoneAncestorIds, aggregateZoneSensors } = require('./zones');
+const { parseWhere, compareValues, createDeviceFilter } = require('./filters');
+const { parseBoolean, capabilityType, parseCapabilityValue, parseCapabilityCondition } = require('./capabilities');
+const { parseDuration, parseTimestamp } = require('./time');
+const { parseArgOptions, parseFlowExport } = require('./flows');
+const { buildTree, findTreeNode, renderTree } = require('./tree');
+const { parseCardType } = require('./cards');
+const { parseVariableType, parseVariableValue } = require('./variables');
+const { parseSettingValue } = require('./apps');
+const { parseAlarmTime, parseAlarmDays } = require('./alarms');
 
 /**
  * Create Homey client from config
  */
 const { cliError } = require('./errors');
 
-function createClient() {
+function createClient(options = {}) {
   const conn = config.getConnectionInfo();
 
   if (conn.modeSelected === 'local') {
+    if (options.homey) {
+      throw cliError('INVALID_VALUE', '--homey only applies to cloud mode', {
+        modeSelected: conn.modeSelected,
+        help: 'local mode talks to the Homey at HOMEY_ADDRESS; use HOMEY_MODE=cloud to pick a Homey of your account',
+      });
+    }
+
     const missing = [];
     if (!conn.local.address) missing.push('HOMEY_ADDRESS');
     if (!conn.local.token) missing.push('HOMEY_LOCAL_TOKEN');
@@ -52,7 +70,13 @@ function createClient() {
     });
   }
 
-  // Cloud mode
+  return createCloudClient(options, conn);
+}
+
+/**
+ * Cloud client; the Homey is picked by --homey, then the saved default, then the first on the account.
+ */
+function createCloudClient(options = {}, conn = config.getConnectionInfo()) {
   if (!conn.cloud.token) {
     throw cliError(
       'NO_TOKEN',
@@ -77,7 +101,13 @@ function createClient() {
     );
   }
 
-  return new HomeyClient({ mode: 'cloud', token: conn.cloud.token });
+  return new HomeyClient({
+    mode: 'cloud',
+    token: conn.cloud.token,
+    homey: options.homey || conn.cloud.homey,
+    homeySource: options.homey ? 'flag' : conn.cloud.homeySource,
+    threshold: options.threshold,
+  });
 }
 
 /**
@@ -93,21 +123,50 @@ function output(data, options = {}) {
   }
 }
 
-function parseBoolean(value) {
-  const v = String(value).toLowerCase();
-  if (['true', '1', 'on', 'yes', 'y'].includes(v)) return true;
-  if (['false', '0', 'off', 'no', 'n'].includes(v)) return false;
-  return null;
+/**
+ * Build a device predicate from the shared filter options
+ * (--class, --zone [--recursive], --capability, --available/--unavailable, --where).
+ *
+ * `overrides.zoneIds` replaces --zone resolution (used by commands that take a zone positionally).
+ */
+async function deviceFilterFromOptions(client, options, overrides = {}) {
+  if (options.available && options.unavailable) {
+    throw cliError('INVALID_VALUE', 'use either --available or --unavailable (not both)');
+  }
+
+  const where = [].concat(options.where || []).map(parseWhere);
+
+  let zoneIds = overrides.zoneIds;
+  if (!zoneIds && options.zone) {
+    const zone = await client.getZone(options.zone, options);
+    zoneIds = options.recursive
+      ? zoneDescendantIds(zone.id, await client.getZones())
+      : new Set([zone.id]);
+  }
+
+  let available;
+  if (options.available) available = true;
+  if (options.unavailable) available = false;
+
+  return createDeviceFilter({
+    zoneIds,
+    className: options.class,
+    capability: options.capability,
+    available,
+    where,
+  });
 }
 
 /**
  * List all devices
  */
 async function listDevices(options) {
-  const client = createClient();
-  const devices = options.match
+  const client = createClient(options);
+  const filter = await deviceFilterFromOptions(client, options);
+  const found = options.match
     ? await client.searchDevices(options.match, options)
     : await client.getDevices(options);
+  const devices = found.filter(filter);
 
   if (options.json) {
     output(devices, options);
@@ -122,7 +181,8 @@ async function listDevices(options) {
       chalk.cyan('Capabilities'),
       chalk.cyan('State'),
     ],
-    colWidths: [25, 20, 15, 30, 15],
+    colWidths: [25, 30, 15, 30, 15],
+    wordWrap: true,
   });
 
   for (const device of devices) {
@@ -137,7 +197,7 @@ async function listDevices(options) {
 
     table.push([
       device.name,
-      device.zoneName || device.zoneId || device.zone || '-',
+      device.zonePath || device.zoneName || device.zoneId || device.zone || '-',
       device.class,
       capsDisplay,
       state,
@@ -152,7 +212,7 @@ async function listDevices(options) {
  * Control a device (on/off)
  */
 async function controlDevice(name, action, options) {
-  const client = createClient();
+  const client = createClient(options);
   const device = await client.getDevice(name, options);
 
   if (!(device.capabilities || []).includes('onoff')) {
@@ -177,7 +237,7 @@ async function controlDevice(name, action, options) {
  * Set device capability
  */
 async function setCapability(name, capability, value, options) {
-  const client = createClient();
+  const client = createClient(options);
   const device = await client.getDevice(name, options);
 
   if (!(device.capabilities || []).includes(capability)) {
@@ -188,55 +248,68 @@ async function setCapability(name, capability, value, options) {
     });
   }
 
-  const capObj = device.capabilitiesObj?.[capability];
-  const declaredType = capObj?.type;
-  const inferredType = capObj && 'value' in capObj ? typeof capObj.value : undefined;
-  const type = declaredType || inferredType;
-
-  let parsedValue = value;
-
-  if (type === 'number') {
-    parsedValue = parseFloat(value);
-    if (Number.isNaN(parsedValue)) {
-      throw cliError('INVALID_VALUE', `invalid number for '${capability}': '${value}'`, {
-        device: { id: device.id, name: device.name },
-        capability,
-        value,
-        expectedType: 'number',
-      });
-    }
-  } else if (type === 'boolean') {
-    const b = parseBoolean(value);
-    if (b === null) {
-      throw cliError('INVALID_VALUE', `invalid boolean for '${capability}': '${value}' (use true/false/on/off/1/0)`, {
-        device: { id: device.id, name: device.name },
-        capability,
-        value,
-        expectedType: 'boolean',
-      });
-    }
-    parsedValue = b;
-  }
+  const parsed = parseCapabilityValue(device, capability, value, { clamp: options.clamp });
+  const parsedValue = parsed.value;
+  const previous = device.values?.[capability] ?? null;
 
   await client.setCapability(device.id, capability, parsedValue);
 
   if (!options.json) {
-    console.log(chalk.green(`✓ Set ${device.name}.${capability} = ${parsedValue}`));
+    const note = parsed.clamped ? chalk.yellow(` (clamped from ${parsed.requested ?? value})`) : '';
+    console.log(chalk.green(`✓ Set ${device.name}.${capability} = ${parsedValue}`) + chalk.gray(` (was ${previous})`) + note);
   } else {
     output({
       success: true,
       device: device.name,
       capability,
+      previous,
       value: parsedValue,
+      ...(parsed.relative ? { relative: value } : {}),
+      ...(parsed.clamped ? { clamped: true, requested: parsed.requested ?? value } : {}),
     }, options);
   }
 }
 
+/**
+ * Toggle a boolean capability (default: onoff)
+ */
+async function toggleCapability(name, capability, options) {
+  const client = createClient(options);
+  const device = await client.getDevice(name, options);
+
+  if (!(device.capabilities || []).includes(capability)) {
+    throw cliError('CAPABILITY_NOT_SUPPORTED', `device '${device.name}' does not support capability '${capability}'`, {
+      device: { id: device.id, name: device.name },
+      capability,
+      available: device.capabilities || [],
+    });
+  }
+
+  const type = capabilityType(device.capabilitiesObj?.[capability]);
+  if (type !== 'boolean') {
+    throw cliError('INVALID_VALUE', `cannot toggle '${capability}': not a boolean capability (type: ${type || 'unknown'})`, {
+      device: { id: device.id, name: device.name },
+      capability,
+      expectedType: 'boolean',
+    });
+  }
+
+  const previous = Boolean(device.values?.[capability]);
+  const value = !previous;
+  await client.setCapability(device.id, capability, value);
+
+  if (!options.json) {
+    console.log(chalk.green(`✓ Toggled ${device.name}.${capability}: ${previous} → ${value}`));
+  } else {
+    output({ success: true, device: device.name, capability, previous, value }, options);
+  }
+}
+
 /**
  * Get device capability value
  */
 async function getCapability(name, capability, options) {
-  const client = createClient();
+  const client = createClient(options);
   const device = await client.getDevice(name, options);
 
   if (!(device.capabilities || []).includes(capability)) {
@@ -256,11 +329,123 @@ async function getCapability(name, capability, options) {
   }
 }
 
+/**
+ * Block until a capability satisfies a condition (e.g. `false`, `>=21`).
+ * Uses realtime events, falling back to polling when the subscription can't be set up.
+ */
+async function waitForCapability(name, capability, condition, options) {
+  const client = createClient(options);
+  const device = await client.getDevice(name, options);
+
+  if (!(device.capabilities || []).includes(capability)) {
+    throw cliError('CAPABILITY_NOT_SUPPORTED', `device '${device.name}' does not support capability '${capability}'`, {
+      device: { id: device.id, name: device.name },
+      capability,
+      available: device.capabilities || [],
+    });
+  }
+
+  const cond = parseCapabilityCondition(device, capability, condition);
+  const timeoutMs = options.timeout !== undefined ? parseDuration(options.timeout, 'timeout') : null;
+  const intervalMs = parseDuration(options.interval ?? '2s', 'interval');
+  if (intervalMs <= 0) {
+    throw cliError('INVALID_VALUE', `invalid interval: '${options.interval}' (must be greater than 0)`);
+  }
+  const satisfied = (value) => compareValues(value, cond.op, cond.value);
+  const startedAt = Date.now();
+
+  let value = device.values?.[capability];
+  let method = 'initial';
+
+  if (!satisfied(value)) {
+    let subscription = null;
+    let timer = null;
+    let pollTimer = null;
+    let done = false;
+
+    try {
+      value = await new Promise((resolve, reject) => {
+        const finish = (how, v) => {
+          if (done) return;
+          done = true;
+          method = how;
+          resolve(v);
+        };
+
+        if (timeoutMs !== null) {
+          timer = setTimeout(() => {
+            done = true;
+            reject(cliError('TIMEOUT', `timed out after ${options.timeout} waiting for ${device.name}.${capability} ${cond.op} ${cond.value}`, {
+              device: { id: device.id, name: device.name },
+              capability,
+              condition: cond,
+              lastValue: value ?? null,
+            }));
+          }, timeoutMs);
+        }
+
+        // Poll alongside the realtime events, so a subscription that connects but never
+        // delivers events can't stall the wait.
+        const poll = async () => {
+          try {
+            const polled = await client.getCapability(device.id, capability);
+            if (done) return;
+            value = polled;
+            if (satisfied(value)) return finish('poll', value);
+          } catch {
+            // Transient errors: keep polling until the timeout.
+          }
+          if (!done) pollTimer = setTimeout(poll, intervalMs);
+        };
+        pollTimer = setTimeout(poll, intervalMs);
+
+        client.subscribeCapabilities({
+          filter: (d) => d.id === device.id,
+          onChange: (change) => {
+            if (change.capability !== capability || done) return;
+            value = change.value;
+            if (satisfied(value)) finish('realtime', value);
+          },
+        }).then((sub) => {
+          if (done) return sub.close();
+          subscription = sub;
+          // The value may have changed between the first read and the subscription.
+          const fresh = sub.devices[0]?.values?.[capability];
+          if (satisfied(fresh)) finish('realtime', fresh);
+        }).catch(() => {
+          // Realtime events unavailable: polling alone.
+        });
+      });
+    } finally {
+      clearTimeout(timer);
+      clearTimeout(pollTimer);
+      if (subscription) await subscription.close();
+    }
+  }
+
+  const data = {
+    success: true,
+    device: device.name,
+    capability,
+    condition: cond,
+    value,
+    waitedMs: Date.now() - startedAt,
+    method,
+  };
+
+  if (options.json) {
+    output(data, options);
+    return;
+  }
+
+  console.log(chalk.green(`✓ ${device.name}.${capability} = ${value}`) + chalk.gray(` (waited ${Math.round(data.waitedMs / 1000)}s)`));
+}
+
 /**
  * Inspect a device (capabilities + metadata + current values)
  */
 async function inspectDevice(name, options) {
-  const client = createClient();
+  const client = createClient(options);
   const device = await client.getDevice(name, options);
 
   if (options.json) {
@@ -271,7 +456,7 @@ async function inspectDevice(name, options) {
   console.log(chalk.bold(`\n🔎 Device: ${device.name}\n`));
   console.log(`  ${chalk.cyan('ID:')} ${device.id}`);
   console.log(`  ${chalk.cyan('Class:')} ${device.class}`);
-  console.log(`  ${chalk.cyan('Zone:')} ${device.zoneName || device.zoneId || '-'}`);
+  console.log(`  ${chalk.cyan('Zone:')} ${device.zonePath || device.zoneName || device.zoneId || '-'}`);
   console.log(`  ${chalk.cyan('Available:')} ${device.available ? chalk.green('yes') : chalk.red('no')}`);
   console.log('');
 
@@ -286,7 +471,7 @@ async function inspectDevice(name, options) {
       capId,
       cap?.value === undefined ? '-' : String(cap.value),
       cap?.units || '-',
-      cap?.type || (cap && 'value' in cap ? typeof cap.value : '-'),
+      capabilityType(cap) || '-',
     ]);
   }
 
@@ -297,12 +482,12 @@ async function inspectDevice(name, options) {
  * List device capabilities (with a focus on what is settable).
  */
 async function getDeviceCapabilities(name, options) {
-  const client = createClient();
+  const client = createClient(options);
   const device = await client.getDevice(name, options);
 
   const capsObj = device.capabilitiesObj || {};
   const all = Object.entries(capsObj).map(([id, cap]) => {
-    const type = cap?.type || (cap && 'value' in cap ? typeof cap.value : null);
+    const type = capabilityType(cap) || null;
     const setable = Boolean(cap?.setable);
     const getable = cap?.getable !== undefined ? Boolean(cap?.getable) : true;
 
@@ -316,6 +501,7 @@ async function getDeviceCapabilities(name, options) {
       max: cap?.max ?? null,
       step: cap?.step ?? null,
       decimals: cap?.decimals ?? null,
+      values: Array.isArray(cap?.values) ? cap.values.map((v) => v.id) : null,
       title: cap?.title || null,
     };
   });
@@ -336,95 +522,1509 @@ async function getDeviceCapabilities(name, options) {
   };
 
   if (options.json) {
-    output(data, options);
+    output(data, options);
+    return;
+  }
+
+  console.log(chalk.bold(`\n🧩 Capabilities: ${device.name}\n`));
+
+  if (!settable.length) {
+    console.log(chalk.yellow('No settable capabilities found (device may be read-only).'));
+  } else {
+    console.log(chalk.green(`Settable (${settable.length}):`));
+    console.log(`  ${settable.join(', ')}`);
+  }
+
+  const table = new Table({
+    head: [chalk.cyan('Capability'), chalk.cyan('Settable'), chalk.cyan('Type'), chalk.cyan('Units'), chalk.cyan('Range')],
+    colWidths: [28, 10, 10, 10, 20],
+  });
+
+  for (const c of data.capabilities) {
+    let range = '-';
+    if (c.values) {
+      range = c.values.join(' | ');
+    } else if (c.min !== null || c.max !== null) {
+      range = `${c.min ?? ''}..${c.max ?? ''}${c.step !== null ? ` step ${c.step}` : ''}`;
+    }
+    table.push([
+      c.id,
+      c.setable ? chalk.green('yes') : chalk.gray('no'),
+      c.type || '-',
+      c.units || '-',
+      range,
+    ]);
+  }
+
+  console.log('');
+  console.log(table.toString());
+}
+
+/**
+ * Get all current capability values for a device
+ */
+async function getDeviceValues(name, options) {
+  const client = createClient(options);
+  const device = await client.getDevice(name, options);
+
+  const data = {
+    id: device.id,
+    name: device.name,
+    zoneId: device.zoneId,
+    zoneName: device.zoneName,
+    class: device.class,
+    available: device.available,
+    ready: device.ready,
+    values: device.values,
+    capabilitiesObj: device.capabilitiesObj,
+  };
+
+  if (options.raw && device.raw) {
+    data.raw = device.raw;
+  }
+
+  if (options.json) {
+    output(data, options);
+    return;
+  }
+
+  console.log(chalk.bold(`\n📟 Values: ${device.name}\n`));
+
+  const table = new Table({
+    head: [chalk.cyan('Capability'), chalk.cyan('Value'), chalk.cyan('Units')],
+    colWidths: [30, 30, 15],
+  });
+
+  for (const [capId, capValue] of Object.entries(device.values || {})) {
+    const units = device.capabilitiesObj?.[capId]?.units || '-';
+    table.push([capId, capValue === undefined ? '-' : String(capValue), units]);
+  }
+
+  console.log(table.toString());
+}
+
+/**
+ * Apply on/off/set to every matching device in a zone.
+ * Failures are reported per device; the process exits with 1 if any device failed.
+ */
+async function controlZone(name, action, capability, value, options) {
+  const client = createClient(options);
+
+  const [zone, zones, allDevices] = await Promise.all([
+    client.getZone(name, options),
+    client.getZones(),
+    client.getDevices(),
+  ]);
+
+  const zoneIds = options.recursive ? zoneDescendantIds(zone.id, zones) : new Set([zone.id]);
+  const targetCapability = action === 'set' ? capability : 'onoff';
+  const filter = await deviceFilterFromOptions(client, options, { zoneIds });
+
+  const devices = allDevices.filter(
+    (d) => filter(d) && (d.capabilities || []).includes(targetCapability)
+  );
+
+  if (!devices.length) {
+    throw cliError('NOT_FOUND', `no devices in zone '${zone.name}' support '${targetCapability}'`, {
+      zone: { id: zone.id, name: zone.name },
+      capability: targetCapability,
+      recursive: Boolean(options.recursive),
+    });
+  }
+
+  const results = await Promise.all(devices.map(async (device) => {
+    const result = { id: device.id, name: device.name, zoneName: device.zoneName, zonePath: device.zonePath };
+    try {
+      const parsedValue = action === 'set'
+        ? parseCapabilityValue(device, targetCapability, value, { clamp: options.clamp }).value
+        : action === 'on';
+      await client.setCapability(device.id, targetCapability, parsedValue);
+      return { ...result, success: true, value: parsedValue };
+    } catch (err) {
+      return {
+        ...result,
+        success: false,
+        error: { code: err?.code || 'ERROR', message: err?.message || String(err) },
+      };
+    }
+  }));
+
+  const failed = results.filter((r) => !r.success).length;
+  if (failed) process.exitCode = 1;
+
+  const data = {
+    zone: { id: zone.id, name: zone.name },
+    action,
+    capability: targetCapability,
+    succeeded: results.length - failed,
+    failed,
+    results,
+  };
+
+  if (options.json) {
+    output(data, options);
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan('Device'), chalk.cyan('Zone'), chalk.cyan('Result')],
+    colWidths: [30, 30, 40],
+    wordWrap: true,
+  });
+
+  for (const r of results) {
+    table.push([
+      r.name,
+      r.zonePath || r.zoneName || '-',
+      r.success ? chalk.green(`✓ ${targetCapability} = ${r.value}`) : chalk.red(`✗ ${r.error.message}`),
+    ]);
+  }
+
+  console.log(chalk.bold(`\n🏠 ${zone.name}: ${data.succeeded} succeeded, ${failed} failed\n`));
+  console.log(table.toString());
+}
+
+/**
+ * Watch capability changes in realtime until interrupted (Ctrl+C).
+ * With --json, emits one JSON object per line (NDJSON).
+ */
+async function watchDevices(name, options) {
+  const client = createClient(options);
+
+  const device = name ? await client.getDevice(name, options) : null;
+  const deviceFilter = await deviceFilterFromOptions(client, options);
+  const filter = (d) => (!device || d.id === device.id) && deviceFilter(d);
+
+  const onChange = (change) => {
+    if (options.capability && change.capability !== options.capability) return;
+
+    if (options.json) {
+      console.log(JSON.stringify(change));
+      return;
+    }
+
+    console.log(
+      `${chalk.gray(change.timestamp)} ${chalk.bold(change.name)}` +
+      `${change.zonePath || change.zoneName ? chalk.gray(` (${change.zonePath || change.zoneName})`) : ''} ` +
+      `${chalk.cyan(change.capability)}: ${change.oldValue} → ${chalk.green(change.value)}`
+    );
+  };
+
+  const onConnection = (state, reason) => {
+    if (state === 'disconnected') {
+      console.error(chalk.yellow(`watch: connection lost${reason ? ` (${reason})` : ''}; reconnecting...`));
+    } else {
+      console.error(chalk.green('watch: reconnected'));
+    }
+  };
+
+  const subscription = await client.subscribeCapabilities({ filter, onChange, onConnection });
+
+  if (!subscription.devices.length) {
+    await subscription.close();
+    throw cliError('NOT_FOUND', 'no devices match the watch filters');
+  }
+
+  if (!options.json) {
+    console.error(chalk.bold(`👀 Watching ${subscription.devices.length} devices (Ctrl+C to stop)`));
+  }
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+
+  await subscription.close();
+}
+
+const ENERGY_CAPABILITIES = ['measure_power', 'meter_power', 'meter_gas', 'meter_water'];
+
+function formatEnergyValue(value, decimals = 2) {
+  return value === null || value === undefined ? '-' : String(Math.round(value * 10 ** decimals) / 10 ** decimals);
+}
+
+/**
+ * Energy report: live power, top consumers and cumulative meters rolled up per zone.
+ * Only the plain capability ids are counted (sub-capabilities like `meter_power.imported` are skipped).
+ */
+async function energyReport(options) {
+  const client = createClient(options);
+
+  const [zones, allDevices, filter] = await Promise.all([
+    client.getZones(),
+    client.getDevices(),
+    deviceFilterFromOptions(client, options),
+  ]);
+
+  const emptyTotals = () => Object.fromEntries(ENERGY_CAPABILITIES.map((c) => [c, null]));
+  const add = (totals, capability, value) => {
+    totals[capability] = (totals[capability] ?? 0) + value;
+  };
+
+  const totals = emptyTotals();
+  const zoneTotals = new Map();
+  const devices = [];
+  const mainMeters = { totals: emptyTotals(), devices: [] };
+
+  for (const device of allDevices.filter(filter)) {
+    const values = {};
+    for (const capability of ENERGY_CAPABILITIES) {
+      const v = device.values?.[capability];
+      if (typeof v === 'number' && Number.isFinite(v)) values[capability] = v;
+    }
+    if (!Object.keys(values).length) continue;
+
+    const entry = {
+      id: device.id,
+      name: device.name,
+      zoneId: device.zoneId,
+      zoneName: device.zoneName,
+      zonePath: device.zonePath,
+      ...values,
+    };
+
+    // Main meters already include the other devices, so they are reported separately.
+    if (device.mainMeter) {
+      mainMeters.devices.push(entry);
+      for (const [capability, v] of Object.entries(values)) add(mainMeters.totals, capability, v);
+      continue;
+    }
+
+    devices.push(entry);
+
+    for (const [capability, v] of Object.entries(values)) {
+      add(totals, capability, v);
+      // Roll up into the device's zone and every parent zone.
+      for (const zoneId of zoneAncestorIds(device.zoneId, zones)) {
+        if (!zoneTotals.has(zoneId)) zoneTotals.set(zoneId, { totals: emptyTotals(), devices: new Set() });
+        add(zoneTotals.get(zoneId).totals, capability, v);
+        zoneTotals.get(zoneId).devices.add(device.id);
+      }
+    }
+  }
+
+  const zoneRows = zones
+    .filter((z) => zoneTotals.has(z.id))
+    .map((z) => ({
+      id: z.id,
+      name: z.name,
+      parent: z.parent || null,
+      depth: zoneAncestorIds(z.id, zones).length - 1,
+      devices: zoneTotals.get(z.id).devices.size,
+      ...zoneTotals.get(z.id).totals,
+    }))
+    .sort((a, b) => (b.measure_power ?? 0) - (a.measure_power ?? 0));
+
+  const top = Number.isFinite(options.top) ? options.top : 10;
+  const topConsumers = devices
+    .filter((d) => typeof d.measure_power === 'number')
+    .sort((a, b) => b.measure_power - a.measure_power)
+    .slice(0, top)
+    .map((d) => ({ id: d.id, name: d.name, zoneName: d.zoneName, zonePath: d.zonePath, measure_power: d.measure_power }));
+
+  const data = {
+    timestamp: new Date().toISOString(),
+    units: { measure_power: 'W', meter_power: 'kWh', meter_gas: 'm³', meter_water: 'm³' },
+    totals,
+    mainMeters,
+    zones: zoneRows,
+    topConsumers,
+    devices,
+  };
+
+  if (options.json) {
+    output(data, options);
+    return;
+  }
+
+  console.log(chalk.bold('\n⚡ Energy:\n'));
+  console.log(`  ${chalk.cyan('Live power:')} ${formatEnergyValue(totals.measure_power, 1)} W`);
+  console.log(`  ${chalk.cyan('Energy meters:')} ${formatEnergyValue(totals.meter_power)} kWh`);
+  if (totals.meter_gas !== null) console.log(`  ${chalk.cyan('Gas meters:')} ${formatEnergyValue(totals.meter_gas)} m³`);
+  if (totals.meter_water !== null) console.log(`  ${chalk.cyan('Water meters:')} ${formatEnergyValue(totals.meter_water)} m³`);
+  if (mainMeters.devices.length) {
+    const main = mainMeters.totals;
+    const parts = [
+      main.measure_power !== null ? `${formatEnergyValue(main.measure_power, 1)} W` : null,
+      main.meter_power !== null ? `${formatEnergyValue(main.meter_power)} kWh` : null,
+      main.meter_gas !== null ? `${formatEnergyValue(main.meter_gas)} m³ gas` : null,
+      main.meter_water !== null ? `${formatEnergyValue(main.meter_water)} m³ water` : null,
+    ].filter(Boolean);
+    const names = mainMeters.devices.map((d) => d.name).join(', ');
+    console.log(`  ${chalk.cyan('Main meters:')} ${parts.join(', ')} ${chalk.gray(`(${names}; not in the totals)`)}`);
+  }
+  console.log('');
+
+  const zoneTable = new Table({
+    head: [chalk.cyan('Zone'), chalk.cyan('Power (W)'), chalk.cyan('Energy (kWh)'), chalk.cyan('Gas (m³)'), chalk.cyan('Water (m³)')],
+    colWidths: [30, 12, 14, 12, 12],
+  });
+
+  // Hierarchical order: parents before children, siblings by power.
+  const byParent = new Map();
+  for (const z of zoneRows) {
+    const parent = zoneRows.some((p) => p.id === z.parent) ? z.parent : null;
+    if (!byParent.has(parent)) byParent.set(parent, []);
+    byParent.get(parent).push(z);
+  }
+  const pushZones = (parent, depth) => {
+    for (const z of byParent.get(parent) || []) {
+      zoneTable.push([
+        `${'  '.repeat(depth)}${z.name}`,
+        formatEnergyValue(z.measure_power, 1),
+        formatEnergyValue(z.meter_power),
+        formatEnergyValue(z.meter_gas),
+        formatEnergyValue(z.meter_water),
+      ]);
+      pushZones(z.id, depth + 1);
+    }
+  };
+  pushZones(null, 0);
+
+  console.log(zoneTable.toString());
+
+  if (topConsumers.length) {
+    const topTable = new Table({
+      head: [chalk.cyan('Device'), chalk.cyan('Zone'), chalk.cyan('Power (W)')],
+      colWidths: [30, 30, 12],
+      wordWrap: true,
+    });
+    for (const d of topConsumers) {
+      topTable.push([d.name, d.zonePath || d.zoneName || '-', formatEnergyValue(d.measure_power, 1)]);
+    }
+    console.log(chalk.bold(`\n🔌 Top ${topConsumers.length} consumers:\n`));
+    console.log(topTable.toString());
+  }
+}
+
+/**
+ * Insights resolutions used when only --from is given (smallest one covering the range wins).
+ * Any other Homey resolution can still be passed explicitly with --resolution.
+ */
+const INSIGHTS_RESOLUTIONS = [
+  ['lastHour', 60 * 60 * 1000],
+  ['last6Hours', 6 * 60 * 60 * 1000],
+  ['last24Hours', 24 * 60 * 60 * 1000],
+  ['last7Days', 7 * 24 * 60 * 60 * 1000],
+  ['last14Days', 14 * 24 * 60 * 60 * 1000],
+  ['last31Days', 31 * 24 * 60 * 60 * 1000],
+  ['last2Years', 2 * 366 * 24 * 60 * 60 * 1000],
+];
+
+function csvCell(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * List Insights logs (optionally only those of one device)
+ */
+async function listInsights(name, options) {
+  const client = createClient(options);
+  const device = name ? await client.getDevice(name, options) : null;
+
+  let logs = await client.getInsightLogs(options);
+  if (device) {
+    logs = logs.filter((l) => l.ownerUri === `homey:device:${device.id}`);
+  }
+
+  if (options.json) {
+    output(logs, options);
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan(device ? 'Capability' : 'Log'), chalk.cyan('Title'), chalk.cyan('Type'), chalk.cyan('Units'), chalk.cyan('Last value')],
+    colWidths: [device ? 30 : 50, 25, 10, 8, 15],
+  });
+
+  for (const log of logs) {
+    table.push([
+      device ? log.ownerId : log.id,
+      log.title || '-',
+      log.type || '-',
+      log.units || '-',
+      log.lastValue === null ? '-' : String(log.lastValue),
+    ]);
+  }
+
+  console.log(chalk.bold(`\n📈 Found ${logs.length} insights logs${device ? ` for ${device.name}` : ''}:\n`));
+  console.log(table.toString());
+}
+
+/**
+ * Get Insights entries of a device capability
+ */
+async function getInsights(name, capability, options) {
+  const format = options.json ? 'json' : String(options.format || 'table').toLowerCase();
+  if (!['table', 'json', 'csv'].includes(format)) {
+    throw cliError('INVALID_VALUE', `invalid format '${options.format}' (use table, json or csv)`);
+  }
+
+  const client = createClient(options);
+  const device = await client.getDevice(name, options);
+
+  const ownerUri = `homey:device:${device.id}`;
+  const deviceLogs = (await client.getInsightLogs()).filter((l) => l.ownerUri === ownerUri);
+  const log = deviceLogs.find((l) => l.ownerId === capability || l.id === capability);
+
+  if (!log) {
+    throw cliError('NOT_FOUND', `no insights log for ${device.name}.${capability}`, {
+      device: { id: device.id, name: device.name },
+      capability,
+      available: deviceLogs.map((l) => l.ownerId),
+    });
+  }
+
+  const now = Date.now();
+  const from = options.from ? parseTimestamp(options.from, 'from', now) : null;
+  const to = options.to ? parseTimestamp(options.to, 'to', now) : null;
+
+  let resolution = options.resolution;
+  if (!resolution && from) {
+    const span = now - from.getTime();
+    const fit = INSIGHTS_RESOLUTIONS.find(([, ms]) => ms >= span) || INSIGHTS_RESOLUTIONS[INSIGHTS_RESOLUTIONS.length - 1];
+    resolution = fit[0];
+  }
+  if (!resolution) resolution = 'last24Hours';
+
+  const result = await client.getInsightEntries(log, resolution);
+  const entries = (result?.values || [])
+    .map((e) => ({ timestamp: e.t, value: e.v ?? null }))
+    .filter((e) => {
+      const t = Date.parse(e.timestamp);
+      if (from && t < from.getTime()) return false;
+      if (to && t > to.getTime()) return false;
+      return true;
+    });
+
+  const data = {
+    device: { id: device.id, name: device.name },
+    capability: log.ownerId,
+    log: { id: log.id, title: log.title, type: log.type, units: log.units },
+    resolution,
+    from: from ? from.toISOString() : null,
+    to: to ? to.toISOString() : null,
+    entries,
+  };
+
+  if (format === 'json') {
+    output(data, { ...options, json: true });
+    return;
+  }
+
+  if (format === 'csv') {
+    console.log('timestamp,value');
+    for (const e of entries) console.log(`${csvCell(e.timestamp)},${csvCell(e.value)}`);
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan('Timestamp'), chalk.cyan(`Value${log.units ? ` (${log.units})` : ''}`)],
+    colWidths: [30, 20],
+  });
+
+  for (const e of entries) {
+    table.push([e.timestamp, e.value === null ? '-' : String(e.value)]);
+  }
+
+  console.log(chalk.bold(`\n📈 ${device.name}.${log.ownerId} (${resolution}, ${entries.length} entries):\n`));
+  console.log(table.toString());
+}
+
+/**
+ * List all flows
+ */
+async function listFlows(options) {
+  if (options.uses || options.usesVariable) {
+    return listFlowUsages(options);
+  }
+
+  const client = createClient(options);
+  const [flows, scope] = await Promise.all([
+    options.match ? client.searchFlows(options.match, options) : client.getFlows(options),
+    options.tree || options.folder ? flowFolderScope(client, options) : null,
+  ]);
+
+  const scoped = scope?.folderIds ? flows.filter((f) => scope.folderIds.has(f.folder)) : flows;
+
+  if (options.tree) {
+    printFlowTree(scoped, scope, options);
+    return;
+  }
+
+  if (options.json) {
+    output(scoped, options);
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.cyan('Name'),
+      chalk.cyan('ID'),
+      chalk.cyan('Type'),
+      chalk.cyan('Enabled'),
+      chalk.cyan('Folder'),
+    ],
+    colWidths: [40, 30, 10, 10, 20],
+  });
+
+  for (const flow of scoped) {
+    const enabled = flow.enabled ? chalk.green('✓') : chalk.red('✗');
+
+    table.push([
+      flow.name,
+      flow.id ? flow.id.substring(0, 20) + '...' : '-',
+      flow.type,
+      enabled,
+      flow.folderName || flow.folder || '-',
+    ]);
+  }
+
+  const where = scope?.folder ? ` in folder '${scope.folder.name}'` : '';
+  console.log(chalk.bold(`\n⚡ Found ${scoped.length} flows${where}:\n`));
+  console.log(table.toString());
+}
+
+/**
+ * Lint flows; exits non-zero when errors are found
+ */
+async function lintFlows(options) {
+  const client = createClient(options);
+  const { issues, skipped } = await client.lintFlows();
+
+  const errors = issues.filter((i) => i.severity === 'error');
+  const warnings = issues.filter((i) => i.severity === 'warning');
+  if (errors.length) process.exitCode = 1;
+
+  if (options.json) {
+    output({ errors: errors.length, warnings: warnings.length, skipped, issues }, options);
+    return;
+  }
+
+  if (skipped.length) {
+    console.log(chalk.dim(`Skipped checks (not readable with this token): ${skipped.join(', ')}`));
+  }
+
+  if (!issues.length) {
+    console.log(chalk.green('✓ No flow issues found'));
+    return;
+  }
+
+  const groups = [
+    ['error', errors, chalk.red],
+    ['warning', warnings, chalk.yellow],
+  ];
+
+  for (const [label, list, color] of groups) {
+    if (!list.length) continue;
+
+    const table = new Table({
+      head: [chalk.cyan('Flow'), chalk.cyan('Type'), chalk.cyan('Issue'), chalk.cyan('Card')],
+      colWidths: [30, 10, 50, 30],
+      wordWrap: true,
+    });
+
+    for (const i of list) {
+      table.push([i.flow.name, i.flow.type, i.message, i.card?.id || '-']);
+    }
+
+    console.log(color.bold(`\n${label === 'error' ? '✗' : '!'} ${list.length} ${label}${list.length === 1 ? '' : 's'}:\n`));
+    console.log(table.toString());
+  }
+}
+
+/**
+ * Flows that reference a device (`--uses`) or logic variable (`--uses-variable`)
+ */
+async function listFlowUsages(options) {
+  if (options.uses && options.usesVariable) {
+    throw cliError('INVALID_VALUE', 'pass either --uses or --uses-variable, not both');
+  }
+  if (options.tree) {
+    throw cliError('INVALID_VALUE', '--tree cannot be combined with --uses or --uses-variable');
+  }
+
+  const client = createClient(options);
+  const target = options.uses
+    ? { kind: 'device', ...pickRef(await client.getDevice(options.uses, options)) }
+    : { kind: 'variable', ...pickRef(await client.getVariable(options.usesVariable, options)) };
+
+  // --folder and --match narrow the usages like they narrow the flow list.
+  const [matched, scope] = await Promise.all([
+    options.match ? client.searchFlows(options.match, options) : null,
+    options.folder ? flowFolderScope(client, options) : null,
+  ]);
+  const matchedIds = matched ? new Set(matched.map((f) => f.id)) : null;
+  const filter = (flow) => (!matchedIds || matchedIds.has(flow.id))
+    && (!scope?.folderIds || scope.folderIds.has(flow.folder));
+
+  await printFlowUsages(client, target, options, filter);
+}
+
+/**
+ * List flows that use a device
+ */
+async function deviceFlows(nameOrId, options) {
+  const client = createClient(options);
+  const device = await client.getDevice(nameOrId, options);
+  await printFlowUsages(client, { kind: 'device', ...pickRef(device) }, options);
+}
+
+function pickRef(item) {
+  return { id: item.id, name: item.name };
+}
+
+async function printFlowUsages(client, target, options, filter = () => true) {
+  const flows = (await client.getFlowUsages(target.id, options)).filter(filter);
+
+  if (options.json) {
+    output({ [target.kind]: { id: target.id, name: target.name }, flows }, options);
+    return;
+  }
+
+  if (!flows.length) {
+    console.log(chalk.yellow(`No flows use ${target.kind} '${target.name}'`));
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.cyan('Flow'),
+      chalk.cyan('Type'),
+      chalk.cyan('Enabled'),
+      chalk.cyan('Card'),
+      chalk.cyan('Card ID'),
+    ],
+    colWidths: [30, 10, 9, 11, 50],
+    wordWrap: true,
+  });
+
+  for (const flow of flows) {
+    for (const card of flow.cards) {
+      table.push([
+        flow.name,
+        flow.type,
+        flow.enabled ? chalk.green('✓') : chalk.red('✗'),
+        card.type,
+        card.id || '-',
+      ]);
+    }
+  }
+
+  console.log(chalk.bold(`\n⚡ ${flows.length} flows use ${target.kind} '${target.name}':\n`));
+  console.log(table.toString());
+}
+
+/**
+ * Resolve `--folder` (fuzzy) to the folder ids it covers.
+ * In tree view, and with --recursive, sub-folders are included.
+ * @returns {Promise<{folders: object[], roots: Array, folder: object|null, folderIds: Set<string>|null}>}
+ */
+async function flowFolderScope(client, options) {
+  const folders = await client.getFlowFolders();
+  const roots = buildTree(folders);
+
+  if (!options.folder) {
+    return { folders, roots, folder: null, folderIds: null };
+  }
+
+  const folder = await client.getFlowFolder(options.folder, options);
+  const node = findTreeNode(roots, folder.id);
+  if (!node) {
+    throw cliError('NOT_FOUND', `flow folder '${folder.name}' is not in the folder tree`, { folder });
+  }
+  const folderIds = new Set([folder.id]);
+  if (options.recursive || options.tree) {
+    const queue = [...node.children];
+    while (queue.length) {
+      const child = queue.shift();
+      folderIds.add(child.item.id);
+      queue.push(...child.children);
+    }
+  }
+
+  return { folders, roots: [node], folder, folderIds };
+}
+
+function printFlowTree(flows, scope, options) {
+  const flowsByFolder = new Map();
+  const unfiled = [];
+  for (const flow of flows) {
+    const known = flow.folder && scope.folders.some((f) => f.id === flow.folder);
+    if (!known) {
+      unfiled.push(flow);
+      continue;
+    }
+    if (!flowsByFolder.has(flow.folder)) flowsByFolder.set(flow.folder, []);
+    flowsByFolder.get(flow.folder).push(flow);
+  }
+
+  const toJson = (node) => ({
+    ...node.item,
+    folders: node.children.map(toJson),
+    flows: flowsByFolder.get(node.item.id) || [],
+  });
+
+  if (options.json) {
+    output({
+      folder: scope.folder,
+      folders: scope.roots.map(toJson),
+      flows: scope.folder ? [] : unfiled,
+    }, options);
+    return;
+  }
+
+  const flowLabel = (f) => `${f.enabled ? chalk.green('✓') : chalk.red('✗')} ${f.name}`
+    + (f.type === 'advanced' ? chalk.dim(' (advanced)') : '');
+  const toLabelNode = (node) => ({
+    label: chalk.bold(`📁 ${node.item.name}`),
+    children: [
+      ...node.children.map(toLabelNode),
+      ...(flowsByFolder.get(node.item.id) || []).map((f) => ({ label: flowLabel(f) })),
+    ],
+  });
+
+  const nodes = [
+    ...scope.roots.map(toLabelNode),
+    ...(scope.folder ? [] : unfiled.map((f) => ({ label: flowLabel(f) }))),
+  ];
+
+  console.log(chalk.bold(`\n⚡ ${flows.length} flows${scope.folder ? ` in folder '${scope.folder.name}'` : ''}:\n`));
+  console.log(renderTree(nodes).join('\n'));
+}
+
+/**
+ * Trigger a flow
+ */
+async function triggerFlow(name, options) {
+  const client = createClient(options);
+  const tokens = parseArgOptions(options.arg, options.argsJson);
+  const flow = await client.triggerFlow(name, { ...options, tokens });
+
+  if (!options.json) {
+    const suffix = flow.tokens
+      ? chalk.dim(` (${Object.entries(flow.tokens).map(([k, v]) => `${k}=${JSON.stringify(v)}`).join(', ')})`)
+      : '';
+    console.log(chalk.green(`✓ Triggered flow: ${flow.name}`) + suffix);
+  } else {
+    output({ success: true, flow: flow.name, id: flow.id, type: flow.type, tokens: flow.tokens || null }, options);
+  }
+}
+
+/**
+ * Enable or disable a flow
+ */
+async function setFlowEnabled(name, enabled, options) {
+  if (options.folder) {
+    if (name) {
+      throw cliError('INVALID_VALUE', 'pass either a flow name or --folder, not both');
+    }
+    return setFolderFlowsEnabled(enabled, options);
+  }
+  if (!name) {
+    throw cliError('INVALID_VALUE', `usage: homeycli flow ${enabled ? 'enable' : 'disable'} <nameOrId> | --folder <name>`);
+  }
+
+  const client = createClient(options);
+  const flow = await client.setFlowEnabled(name, enabled, options);
+
+  if (!options.json) {
+    console.log(chalk.green(`✓ ${enabled ? 'Enabled' : 'Disabled'} flow: ${flow.name}`));
+  } else {
+    output({ success: true, flow: flow.name, id: flow.id, type: flow.type, enabled }, options);
+  }
+}
+
+/**
+ * Export flow definitions to a JSON file (or stdout)
+ */
+async function exportFlows(name, options) {
+  if (name && options.all) {
+    throw cliError('INVALID_VALUE', 'pass either a flow name or --all, not both');
+  }
+  if (!name && !options.all) {
+    throw cliError('INVALID_VALUE', 'usage: homeycli flow export <nameOrId> | --all [-o flows.json]');
+  }
+
+  const client = createClient(options);
+  const doc = await client.exportFlows(name || null, options);
+  const text = JSON.stringify(doc, null, 2) + '\n';
+
+  if (!options.output) {
+    process.stdout.write(text);
+    return;
+  }
+
+  try {
+    fs.writeFileSync(options.output, text);
+  } catch (err) {
+    throw cliError('INVALID_VALUE', `cannot write '${options.output}': ${err.message}`);
+  }
+
+  if (options.json) {
+    output({ success: true, file: options.output, flows: doc.flows.length, devices: Object.keys(doc.devices).length }, options);
+    return;
+  }
+
+  console.log(chalk.green(`✓ Exported ${doc.flows.length} flows to ${options.output}`));
+}
+
+/**
+ * Import flow definitions from a JSON file created by `flow export`
+ */
+async function importFlows(file, options) {
+  if (!file) {
+    throw cliError('INVALID_VALUE', 'usage: homeycli flow import <file> [--dry-run] [--overwrite]');
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (err) {
+    throw cliError('NOT_FOUND', `cannot read '${file}': ${err.message}`);
+  }
+
+  const doc = parseFlowExport(text, file);
+  const client = createClient(options);
+  const data = await client.importFlows(doc, { dryRun: options.dryRun, overwrite: options.overwrite });
+
+  const failed = data.results.filter((r) => !r.success).length;
+  if (failed) process.exitCode = 1;
+
+  if (options.json) {
+    output({ ...data, failed }, options);
+    return;
+  }
+
+  const actionLabel = {
+    create: chalk.green('create'),
+    update: chalk.yellow('update'),
+    skip: chalk.dim('skip (exists)'),
+  };
+
+  const table = new Table({
+    head: [chalk.cyan('Flow'), chalk.cyan('Type'), chalk.cyan('Action'), chalk.cyan('Notes')],
+    colWidths: [35, 10, 16, 50],
+    wordWrap: true,
+  });
+
+  for (const r of data.results) {
+    const notes = r.success ? r.warnings.join('\n') : chalk.red(`✗ ${r.error.message}`);
+    table.push([r.name, r.type, actionLabel[r.action], notes || '-']);
+  }
+
+  const mapped = data.devices.filter((d) => d.status === 'mapped').length;
+  const title = data.dryRun ? 'Import plan (dry run)' : 'Imported flows';
+  console.log(chalk.bold(`\n📥 ${title}: ${data.results.length} flows, ${mapped} devices mapped by name, ${failed} failed\n`));
+  console.log(table.toString());
+}
+
+/**
+ * Enable or disable all flows in a folder (sub-folders with --recursive)
+ */
+async function setFolderFlowsEnabled(enabled, options) {
+  const client = createClient(options);
+  const [flows, scope] = await Promise.all([client.getFlows(), flowFolderScope(client, options)]);
+  const targets = flows.filter((f) => scope.folderIds.has(f.folder));
+
+  if (!targets.length) {
+    throw cliError('NOT_FOUND', `no flows in folder '${scope.folder.name}'`, {
+      folder: scope.folder,
+      recursive: Boolean(options.recursive),
+    });
+  }
+
+  const results = await client.setFlowsEnabled(targets, enabled);
+  const failed = results.filter((r) => !r.success).length;
+  if (failed) process.exitCode = 1;
+
+  const data = {
+    folder: scope.folder,
+    enabled,
+    succeeded: results.length - failed,
+    failed,
+    results,
+  };
+
+  if (options.json) {
+    output(data, options);
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan('Flow'), chalk.cyan('Folder'), chalk.cyan('Result')],
+    colWidths: [40, 20, 40],
+  });
+
+  for (const r of results) {
+    table.push([
+      r.name,
+      r.folderName || '-',
+      r.success ? chalk.green(`✓ ${enabled ? 'enabled' : 'disabled'}`) : chalk.red(`✗ ${r.error.message}`),
+    ]);
+  }
+
+  console.log(chalk.bold(`\n📁 ${scope.folder.name}: ${data.succeeded} succeeded, ${failed} failed\n`));
+  console.log(table.toString());
+}
+
+/**
+ * List flow cards
+ */
+async function listCards(options) {
+  const client = createClient(options);
+  const type = parseCardType(options.type);
+  const cards = await client.getFlowCards(type, options);
+
+  if (options.json) {
+    output(cards, options);
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan('Title'), chalk.cyan('ID'), chalk.cyan('Args')],
+    colWidths: [40, 50, 40],
+    wordWrap: true,
+  });
+
+  for (const card of cards) {
+    const args = card.args
+      .map((a) => `${a.name}:${a.type}${a.required ? '' : '?'}`)
+      .join(', ');
+    table.push([
+      card.deprecated ? chalk.dim(`${card.title || '-'} (deprecated)`) : (card.title || '-'),
+      card.id,
+      args || '-',
+    ]);
+  }
+
+  const scope = options.app ? ` from ${options.app}` : '';
+  console.log(chalk.bold(`\n🃏 Found ${cards.length} ${type} cards${scope}:\n`));
+  console.log(table.toString());
+}
+
+/**
+ * Run an action card
+ */
+async function runCard(cardId, options) {
+  const client = createClient(options);
+  const rawArgs = parseArgOptions(options.arg, options.argsJson);
+  const { card, args, result } = await client.runFlowCard('action', cardId, rawArgs, options);
+
+  if (options.json) {
+    output({ success: true, card: { id: card.id, title: card.title }, args, result: result ?? null }, options);
+    return;
+  }
+
+  console.log(chalk.green(`✓ Ran action card: ${card.title || card.id}`));
+  if (result && typeof result === 'object' && Object.keys(result).length) {
+    console.log(JSON.stringify(result, null, 2));
+  }
+}
+
+/**
+ * Evaluate a condition card
+ */
+async function testCard(cardId, options) {
+  const client = createClient(options);
+  const rawArgs = parseArgOptions(options.arg, options.argsJson);
+  const { card, args, result } = await client.runFlowCard('condition', cardId, rawArgs, options);
+  const value = Boolean(result && typeof result === 'object' ? result.result : result);
+
+  if (options.json) {
+    output({ card: { id: card.id, title: card.title }, args, result: value }, options);
+    return;
+  }
+
+  console.log(`${card.title || card.id}: ${value ? chalk.green('true') : chalk.red('false')}`);
+}
+
+/**
+ * List logic variables
+ */
+async function listVariables(options) {
+  const client = createClient(options);
+  const variables = await client.getVariables(options);
+
+  if (options.json) {
+    output(variables, options);
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan('Name'), chalk.cyan('Type'), chalk.cyan('Value'), chalk.cyan('ID')],
+    colWidths: [30, 10, 30, 30],
+    wordWrap: true,
+  });
+
+  for (const v of variables) {
+    table.push([
+      v.name,
+      v.type,
+      v.value === undefined || v.value === null ? '-' : String(v.value),
+      v.id ? v.id.substring(0, 20) + '...' : '-',
+    ]);
+  }
+
+  console.log(chalk.bold(`\n🔢 Found ${variables.length} variables:\n`));
+  console.log(table.toString());
+}
+
+/**
+ * Get a logic variable
+ */
+async function getVariable(name, options) {
+  const client = createClient(options);
+  const variable = await client.getVariable(name, options);
+
+  if (options.json) {
+    output(variable, options);
+    return;
+  }
+
+  console.log(`${variable.name} (${variable.type}): ${variable.value}`);
+}
+
+/**
+ * Set a logic variable, validated against its type
+ */
+async function setVariable(name, value, options) {
+  const client = createClient(options);
+  const variable = await client.getVariable(name, options);
+  const parsed = parseVariableValue(variable, value);
+  const previous = variable.value ?? null;
+
+  await client.setVariable(variable.id, parsed.value);
+
+  if (!options.json) {
+    console.log(chalk.green(`✓ Set ${variable.name} = ${parsed.value}`) + chalk.gray(` (was ${previous})`));
+  } else {
+    output({
+      success: true,
+      variable: variable.name,
+      id: variable.id,
+      type: variable.type,
+      previous,
+      value: parsed.value,
+      ...(parsed.relative ? { relative: value } : {}),
+    }, options);
+  }
+}
+
+/**
+ * Create a logic variable
+ */
+async function createVariable(name, options) {
+  if (!name) {
+    throw cliError('INVALID_VALUE', 'usage: homeycli vars create <name> --type number|boolean|string [--value <value>]');
+  }
+
+  const type = parseVariableType(options.type);
+  const defaults = { number: 0, boolean: false, string: '' };
+  const value = options.value === undefined
+    ? defaults[type]
+    : parseVariableValue({ id: null, name, type }, String(options.value), { absolute: true }).value;
+
+  const client = createClient(options);
+  const existing = (await client.getVariables()).filter((v) => v.name.toLowerCase() === name.toLowerCase());
+  if (existing.length) {
+    throw cliError('INVALID_VALUE', `variable '${name}' already exists`, {
+      candidates: existing.map((v) => ({ id: v.id, name: v.name })),
+    });
+  }
+
+  const variable = await client.createVariable({ name, type, value }, options);
+
+  if (!options.json) {
+    console.log(chalk.green(`✓ Created variable ${variable.name} (${variable.type}) = ${variable.value}`));
+  } else {
+    output({ success: true, ...variable }, options);
+  }
+}
+
+/**
+ * Delete a logic variable
+ */
+async function deleteVariable(name, options) {
+  const client = createClient(options);
+  const variable = await client.getVariable(name, options);
+
+  await client.deleteVariable(variable.id);
+
+  if (!options.json) {
+    console.log(chalk.green(`✓ Deleted variable ${variable.name}`));
+  } else {
+    output({ success: true, deleted: { id: variable.id, name: variable.name, type: variable.type } }, options);
+  }
+}
+
+/**
+ * Create a timeline notification
+ */
+async function notify(message, options) {
+  const text = String(message ?? '').trim();
+  if (!text) {
+    throw cliError('INVALID_VALUE', 'usage: homeycli notify "<message>"');
+  }
+
+  const client = createClient(options);
+  await client.createNotification(text);
+
+  if (!options.json) {
+    console.log(chalk.green('✓ Notification sent'));
+  } else {
+    output({ success: true, text }, options);
+  }
+}
+
+/**
+ * List timeline notifications
+ */
+async function listNotifications(options) {
+  const since = options.since ? parseTimestamp(options.since, 'since') : null;
+
+  const client = createClient(options);
+  let notifications = await client.getNotifications(options);
+
+  if (since) {
+    notifications = notifications.filter((n) => n.dateCreated && Date.parse(n.dateCreated) >= since.getTime());
+  }
+
+  if (options.json) {
+    output(notifications, options);
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan('Date'), chalk.cyan('Owner'), chalk.cyan('Message')],
+    colWidths: [25, 24, 60],
+    wordWrap: true,
+  });
+
+  for (const n of notifications) {
+    table.push([
+      n.dateCreated ? new Date(n.dateCreated).toLocaleString() : '-',
+      n.ownerName || n.ownerUri || '-',
+      n.excerpt || '-',
+    ]);
+  }
+
+  console.log(chalk.bold(`\n🔔 Found ${notifications.length} notifications${since ? ` since ${since.toLocaleString()}` : ''}:\n`));
+  console.log(table.toString());
+}
+
+/**
+ * Clear timeline notifications, optionally only those of one owner (app)
+ */
+async function clearNotifications(options) {
+  const client = createClient(options);
+  const { owner, deleted } = await client.clearNotifications(options.owner || null, options);
+
+  if (!options.json) {
+    const from = owner ? ` from ${owner.name || owner.uri}` : '';
+    console.log(chalk.green(`✓ Cleared ${deleted.length} notifications${from}`));
+  } else {
+    output({ success: true, owner, cleared: deleted.length }, options);
+  }
+}
+
+/**
+ * List Homey users with their presence
+ */
+async function listUsers(options) {
+  const client = createClient(options);
+  const users = await client.getUsers(options);
+
+  if (options.json) {
+    output(users, options);
+    return;
+  }
+
+  const yesNo = (v) => (v === null || v === undefined ? '-' : v ? chalk.green('yes') : chalk.gray('no'));
+
+  const table = new Table({
+    head: [chalk.cyan('Name'), chalk.cyan('Role'), chalk.cyan('Present'), chalk.cyan('Asleep'), chalk.cyan('ID')],
+    colWidths: [30, 12, 10, 10, 30],
+    wordWrap: true,
+  });
+
+  for (const u of users) {
+    table.push([
+      `${u.name || '-'}${u.me ? chalk.gray(' (me)') : ''}`,
+      u.role || '-',
+      yesNo(u.present),
+      yesNo(u.asleep),
+      u.id.substring(0, 20) + '...',
+    ]);
+  }
+
+  console.log(chalk.bold(`\n👤 Found ${users.length} users:\n`));
+  console.log(table.toString());
+}
+
+/**
+ * Set a user's present (home/away) or asleep state
+ * @param {string} user name, id or `me`
+ * @param {'present'|'asleep'} state
+ * @param {string} value home|away for present, a boolean for asleep
+ */
+async function setPresence(user, state, value, options) {
+  let parsed;
+  if (state === 'present') {
+    const v = String(value ?? '').toLowerCase();
+    parsed = v === 'home' ? true : v === 'away' ? false : parseBoolean(v);
+    if (parsed === null) {
+      throw cliError('INVALID_VALUE', `invalid presence: '${value}' (use home or away)`);
+    }
+  } else {
+    parsed = parseBoolean(value);
+    if (parsed === null) {
+      throw cliError('INVALID_VALUE', `invalid asleep value: '${value}' (use true/false/on/off/1/0)`);
+    }
+  }
+
+  const client = createClient(options);
+  const target = await client.getUser(user, options);
+  const previous = target[state];
+
+  await client.setUserPresence(target, state, parsed);
+
+  if (!options.json) {
+    const label = (v) => (state === 'present' ? (v ? 'home' : 'away') : v ? 'asleep' : 'awake');
+    const was = previous === null || previous === undefined ? '' : chalk.gray(` (was ${label(previous)})`);
+    console.log(chalk.green(`✓ ${target.name || target.id} is ${label(parsed)}`) + was);
+  } else {
+    output({
+      success: true,
+      user: { id: target.id, name: target.name, me: target.me },
+      state,
+      previous: previous ?? null,
+      value: parsed,
+    }, options);
+  }
+}
+
+/**
+ * List installed apps
+ */
+async function listApps(options) {
+  const client = createClient(options);
+  const apps = await client.getApps(options);
+
+  if (options.json) {
+    output(apps, options);
+    return;
+  }
+
+  const table = new Table({
+    head: [
+      chalk.cyan('Name'),
+      chalk.cyan('Version'),
+      chalk.cyan('State'),
+      chalk.cyan('Devices'),
+      chalk.cyan('Update'),
+      chalk.cyan('ID'),
+    ],
+    colWidths: [28, 10, 12, 9, 8, 32],
+    wordWrap: true,
+  });
+
+  for (const app of apps) {
+    table.push([
+      app.name,
+      app.version || '-',
+      formatAppState(app),
+      app.deviceCount ?? '-',
+      app.updateAvailable ? chalk.yellow('yes') : '-',
+      app.id,
+    ]);
+  }
+
+  console.log(chalk.bold(`\n📦 Found ${apps.length} apps:\n`));
+  console.log(table.toString());
+}
+
+function formatAppState(app) {
+  if (app.crashed) return chalk.red('crashed');
+  if (app.enabled === false) return chalk.gray('disabled');
+  return app.state === 'running' ? chalk.green('running') : app.state || '-';
+}
+
+/**
+ * Show app details
+ */
+async function inspectApp(name, options) {
+  const client = createClient(options);
+  const app = await client.getApp(name, options);
+
+  if (options.json) {
+    output(app, options);
+    return;
+  }
+
+  console.log(chalk.bold(`\n📦 App: ${app.name}\n`));
+  console.log(`  ${chalk.cyan('ID:')} ${app.id}`);
+  console.log(`  ${chalk.cyan('Version:')} ${app.version || '-'}${app.channel ? ` (${app.channel})` : ''}`);
+  console.log(`  ${chalk.cyan('State:')} ${formatAppState(app)}`);
+  if (app.crashed) {
+    console.log(`  ${chalk.cyan('Crash:')} ${app.crashedMessage || '-'}${app.crashedCount ? chalk.gray(` (${app.crashedCount}x)`) : ''}`);
+  }
+  console.log(`  ${chalk.cyan('Update available:')} ${app.updateAvailable ? chalk.yellow('yes') : 'no'}`);
+  console.log(`  ${chalk.cyan('Devices:')} ${app.deviceCount ?? '-'}`);
+  if (app.usage) {
+    console.log(`  ${chalk.cyan('Usage:')} cpu ${app.usage.cpu}, mem ${app.usage.mem}`);
+  }
+  console.log('');
+}
+
+/**
+ * Restart, enable or disable an app
+ * @param {'restart'|'enable'|'disable'} action
+ */
+async function controlApp(name, action, options) {
+  const client = createClient(options);
+  const app = await client.getApp(name, options);
+
+  if (action === 'restart') await client.restartApp(app.id);
+  else await client.setAppEnabled(app.id, action === 'enable');
+
+  const done = { restart: 'Restarted', enable: 'Enabled', disable: 'Disabled' }[action];
+  if (!options.json) {
+    console.log(chalk.green(`✓ ${done} ${app.name}`));
+  } else {
+    output({ success: true, app: { id: app.id, name: app.name }, action, previousState: app.state, previousEnabled: app.enabled }, options);
+  }
+}
+
+/**
+ * Show all settings of an app, or a single one
+ * @param {string} [key]
+ */
+async function getAppSettings(name, key, options) {
+  const client = createClient(options);
+  const app = await client.getApp(name, options);
+  const settings = await client.getAppSettings(app.id);
+
+  if (key !== undefined && !(key in settings)) {
+    throw cliError('NOT_FOUND', `app '${app.name}' has no setting '${key}'`, {
+      app: { id: app.id, name: app.name },
+      key,
+      available: Object.keys(settings),
+    });
+  }
+
+  if (options.json) {
+    output(key === undefined
+      ? { app: { id: app.id, name: app.name }, settings }
+      : { app: { id: app.id, name: app.name }, key, value: settings[key] }, options);
     return;
   }
 
-  console.log(chalk.bold(`\n🧩 Capabilities: ${device.name}\n`));
+  const format = (v) => (v !== null && typeof v === 'object' ? JSON.stringify(v) : String(v));
 
-  if (!settable.length) {
-    console.log(chalk.yellow('No settable capabilities found (device may be read-only).'));
-  } else {
-    console.log(chalk.green(`Settable (${settable.length}):`));
-    console.log(`  ${settable.join(', ')}`);
+  if (key !== undefined) {
+    console.log(`${app.name}.${key}: ${format(settings[key])}`);
+    return;
   }
 
-  const table = new Table({
-    head: [chalk.cyan('Capability'), chalk.cyan('Settable'), chalk.cyan('Type'), chalk.cyan('Units'), chalk.cyan('Range')],
-    colWidths: [28, 10, 10, 10, 20],
-  });
-
-  for (const c of data.capabilities) {
-    const range = (c.min !== null || c.max !== null)
-      ? `${c.min ?? ''}..${c.max ?? ''}${c.step !== null ? ` step ${c.step}` : ''}`
-      : '-';
-    table.push([
-      c.id,
-      c.setable ? chalk.green('yes') : chalk.gray('no'),
-      c.type || '-',
-      c.units || '-',
-      range,
-    ]);
+  console.log(chalk.bold(`\n⚙️  ${app.name} settings:\n`));
+  const keys = Object.keys(settings);
+  for (const k of keys) {
+    console.log(`  ${chalk.cyan(k + ':')} ${format(settings[k])}`);
   }
-
+  if (!keys.length) console.log(chalk.gray('  (no settings)'));
   console.log('');
-  console.log(table.toString());
 }
 
 /**
- * Get all current capability values for a device
+ * Set an app setting, keeping the type of its current value
  */
-async function getDeviceValues(name, options) {
-  const client = createClient();
-  const device = await client.getDevice(name, options);
+async function setAppSetting(name, key, value, options) {
+  const client = createClient(options);
+  const app = await client.getApp(name, options);
+  const settings = await client.getAppSettings(app.id);
+  const parsed = parseSettingValue(key, value, settings[key]);
+  const previous = settings[key] ?? null;
 
-  const data = {
-    id: device.id,
-    name: device.name,
-    zoneId: device.zoneId,
-    zoneName: device.zoneName,
-    class: device.class,
-    available: device.available,
-    ready: device.ready,
-    values: device.values,
-    capabilitiesObj: device.capabilitiesObj,
-  };
+  await client.setAppSetting(app.id, key, parsed);
 
-  if (options.raw && device.raw) {
-    data.raw = device.raw;
+  if (!options.json) {
+    const format = (v) => (v !== null && typeof v === 'object' ? JSON.stringify(v) : String(v));
+    console.log(chalk.green(`✓ Set ${app.name}.${key} = ${format(parsed)}`) + chalk.gray(` (was ${format(previous)})`));
+  } else {
+    output({ success: true, app: { id: app.id, name: app.name }, key, previous, value: parsed }, options);
+  }
+}
+
+/**
+ * List moods, optionally only those of one zone (--recursive includes child zones)
+ */
+async function listMoods(options) {
+  const client = createClient(options);
+  let moods = await client.getMoods(options);
+
+  if (options.zone) {
+    const zone = await client.getZone(options.zone, options);
+    const zoneIds = options.recursive
+      ? zoneDescendantIds(zone.id, await client.getZones())
+      : new Set([zone.id]);
+    moods = moods.filter((m) => zoneIds.has(m.zoneId));
   }
 
   if (options.json) {
-    output(data, options);
+    output(moods, options);
     return;
   }
 
-  console.log(chalk.bold(`\n📟 Values: ${device.name}\n`));
-
   const table = new Table({
-    head: [chalk.cyan('Capability'), chalk.cyan('Value'), chalk.cyan('Units')],
-    colWidths: [30, 30, 15],
+    head: [chalk.cyan('Name'), chalk.cyan('Zone'), chalk.cyan('Devices'), chalk.cyan('ID')],
+    colWidths: [28, 36, 9, 40],
+    wordWrap: true,
   });
 
-  for (const [capId, capValue] of Object.entries(device.values || {})) {
-    const units = device.capabilitiesObj?.[capId]?.units || '-';
-    table.push([capId, capValue === undefined ? '-' : String(capValue), units]);
+  for (const mood of moods) {
+    table.push([mood.name, mood.zonePath || mood.zoneName || '-', mood.devices.length, mood.id]);
   }
 
+  console.log(chalk.bold(`\n🎬 Found ${moods.length} moods:\n`));
   console.log(table.toString());
 }
 
 /**
- * List all flows
+ * Activate a mood
  */
-async function listFlows(options) {
-  const client = createClient();
-  const flows = options.match
-    ? await client.searchFlows(options.match, options)
-    : await client.getFlows(options);
+async function activateMood(name, options) {
+  const client = createClient(options);
+  const mood = await client.getMood(name, options);
+
+  await client.activateMood(mood.id);
+
+  if (options.json) {
+    output({
+      success: true,
+      mood: { id: mood.id, name: mood.name, zoneId: mood.zoneId, zonePath: mood.zonePath },
+      devices: mood.devices,
+    }, options);
+    return;
+  }
+
+  console.log(chalk.green(`✓ Activated mood ${mood.name}`) + (mood.zonePath ? chalk.gray(` (${mood.zonePath})`) : ''));
+  for (const device of mood.devices) {
+    const values = Object.entries(device.values).map(([k, v]) => `${k}=${v}`).join(', ');
+    console.log(`  ${device.name || device.id}: ${values || '-'}`);
+  }
+}
+
+/**
+ * List alarms
+ */
+async function listAlarms(options) {
+  const client = createClient(options);
+  const alarms = await client.getAlarms(options);
 
   if (options.json) {
-    output(flows, options);
+    output(alarms, options);
     return;
   }
 
@@ -432,38 +2032,122 @@ async function listFlows(options) {
     head: [
       chalk.cyan('Name'),
       chalk.cyan('ID'),
+      chalk.cyan('Time'),
+      chalk.cyan('Repeat'),
       chalk.cyan('Enabled'),
-      chalk.cyan('Folder'),
+      chalk.cyan('Next'),
     ],
-    colWidths: [40, 30, 10, 20],
+    colWidths: [30, 25, 8, 22, 10, 25],
   });
 
-  for (const flow of flows) {
-    const enabled = flow.enabled ? chalk.green('✓') : chalk.red('✗');
-
+  for (const alarm of alarms) {
     table.push([
-      flow.name,
-      flow.id ? flow.id.substring(0, 20) + '...' : '-',
-      enabled,
-      flow.folder || '-',
+      alarm.name || '-',
+      alarm.id ? alarm.id.substring(0, 20) + '...' : '-',
+      alarm.time || '-',
+      alarm.repeat,
+      alarm.enabled ? chalk.green('✓') : chalk.red('✗'),
+      alarm.nextOccurrence ? formatAlarmOccurrence(alarm) : '-',
     ]);
   }
 
-  console.log(chalk.bold(`\n⚡ Found ${flows.length} flows:\n`));
+  console.log(chalk.bold(`\n⏰ Found ${alarms.length} alarms:\n`));
   console.log(table.toString());
 }
 
+// Next occurrence as wall-clock time on Homey, matching the alarm time.
+function formatAlarmOccurrence(alarm) {
+  const date = new Date(alarm.nextOccurrence);
+  try {
+    return date.toLocaleString(undefined, { timeZone: alarm.timezone || undefined });
+  } catch {
+    return date.toLocaleString();
+  }
+}
+
+function printAlarm(prefix, alarm) {
+  const next = alarm.nextOccurrence ? chalk.gray(` (next: ${formatAlarmOccurrence(alarm)})`) : '';
+  console.log(chalk.green(`✓ ${prefix} alarm: ${alarm.name} at ${alarm.time}, ${alarm.repeat}`) + next);
+}
+
 /**
- * Trigger a flow
+ * Create an alarm
  */
-async function triggerFlow(name, options) {
-  const client = createClient();
-  const flow = await client.triggerFlow(name, options);
+async function createAlarm(name, time, options) {
+  if (!name || !time) {
+    throw cliError('INVALID_VALUE', 'usage: homeycli alarm create <name> <time> [--days mon-fri] [--disabled]');
+  }
+
+  const alarm = {
+    name,
+    time: parseAlarmTime(time),
+    enabled: !options.disabled,
+    repetition: parseAlarmDays(options.days ?? 'once'),
+  };
+
+  const client = createClient(options);
+  const created = await client.createAlarm(alarm, options);
+
+  if (!options.json) {
+    printAlarm('Created', created);
+  } else {
+    output({ success: true, ...created }, options);
+  }
+}
+
+/**
+ * Update an alarm's time, repeat days and/or name
+ */
+async function updateAlarm(name, time, options) {
+  const changes = {};
+  if (time !== undefined) changes.time = parseAlarmTime(time);
+  if (options.days !== undefined) changes.repetition = parseAlarmDays(options.days);
+  if (options.name !== undefined) changes.name = options.name;
+
+  if (!name || !Object.keys(changes).length) {
+    throw cliError('INVALID_VALUE', 'usage: homeycli alarm update <nameOrId> [time] [--days mon-fri] [--name <new name>]');
+  }
+
+  const client = createClient(options);
+  const alarm = await client.getAlarm(name, options);
+  const updated = await client.updateAlarm(alarm, changes, options);
+
+  if (!options.json) {
+    printAlarm('Updated', updated);
+  } else {
+    const previous = Object.fromEntries(Object.keys(changes).map((k) => [k, alarm[k]]));
+    output({ success: true, ...updated, previous }, options);
+  }
+}
+
+/**
+ * Enable or disable an alarm
+ */
+async function setAlarmEnabled(name, enabled, options) {
+  const client = createClient(options);
+  const alarm = await client.getAlarm(name, options);
+  const updated = await client.updateAlarm(alarm, { enabled }, options);
+
+  if (!options.json) {
+    console.log(chalk.green(`✓ ${enabled ? 'Enabled' : 'Disabled'} alarm: ${updated.name}`));
+  } else {
+    output({ success: true, alarm: updated.name, id: updated.id, enabled, nextOccurrence: updated.nextOccurrence }, options);
+  }
+}
+
+/**
+ * Delete an alarm
+ */
+async function deleteAlarm(name, options) {
+  const client = createClient(options);
+  const alarm = await client.getAlarm(name, options);
+
+  await client.deleteAlarm(alarm.id);
 
   if (!options.json) {
-    console.log(chalk.green(`✓ Triggered flow: ${flow.name}`));
+    console.log(chalk.green(`✓ Deleted alarm: ${alarm.name}`));
   } else {
-    output({ success: true, flow: flow.name, id: flow.id }, options);
+    output({ success: true, deleted: { id: alarm.id, name: alarm.name, time: alarm.time } }, options);
   }
 }
 
@@ -471,7 +2155,14 @@ async function triggerFlow(name, options) {
  * List zones
  */
 async function listZones(options) {
-  const client = createClient();
+  const client = createClient(options);
+
+  if (options.tree) {
+    const [zones, devices] = await Promise.all([client.getZones(options), client.getDevices()]);
+    printZoneTree(zones, devices, options);
+    return;
+  }
+
   const zones = await client.getZones(options);
 
   if (options.json) {
@@ -482,15 +2173,18 @@ async function listZones(options) {
   const table = new Table({
     head: [
       chalk.cyan('Name'),
+      chalk.cyan('Path'),
       chalk.cyan('ID'),
       chalk.cyan('Icon'),
     ],
-    colWidths: [30, 30, 20],
+    colWidths: [25, 40, 30, 20],
+    wordWrap: true,
   });
 
   for (const zone of zones) {
     table.push([
       zone.name,
+      zone.zonePath || '-',
       zone.id ? zone.id.substring(0, 20) + '...' : '-',
       zone.icon || '-',
     ]);
@@ -500,11 +2194,143 @@ async function listZones(options) {
   console.log(table.toString());
 }
 
+function printZoneTree(zones, devices, options) {
+  const deviceCounts = new Map();
+  for (const d of devices) deviceCounts.set(d.zoneId, (deviceCounts.get(d.zoneId) || 0) + 1);
+
+  const roots = buildTree(zones);
+
+  if (options.json) {
+    const toJson = (node) => ({
+      ...node.item,
+      deviceCount: deviceCounts.get(node.item.id) || 0,
+      zones: node.children.map(toJson),
+    });
+    output(roots.map(toJson), options);
+    return;
+  }
+
+  const toLabelNode = (node) => {
+    const count = deviceCounts.get(node.item.id) || 0;
+    return {
+      label: `${node.item.name}${count ? chalk.dim(` (${count} device${count === 1 ? '' : 's'})`) : ''}`,
+      children: node.children.map(toLabelNode),
+    };
+  };
+
+  console.log(chalk.bold(`\n🏠 ${zones.length} zones:\n`));
+  console.log(renderTree(roots.map(toLabelNode)).join('\n'));
+}
+
+const ZONE_KEY_CAPABILITIES = [
+  'onoff',
+  'dim',
+  'target_temperature',
+  'measure_temperature',
+  'measure_humidity',
+  'measure_power',
+  'alarm_motion',
+  'alarm_contact',
+];
+
+function formatCapabilityValue(device, capability) {
+  const value = device.values?.[capability];
+  if (value === undefined || value === null) return '-';
+  const units = device.capabilitiesObj?.[capability]?.units;
+  return units ? `${value} ${units}` : String(value);
+}
+
+/**
+ * Show a zone: its devices (with sub-zones when --recursive) and aggregated sensor readings
+ */
+async function showZone(name, options) {
+  const client = createClient(options);
+
+  const [zone, zones, allDevices] = await Promise.all([
+    client.getZone(name, options),
+    client.getZones(),
+    client.getDevices(),
+  ]);
+
+  const zoneIds = options.recursive ? zoneDescendantIds(zone.id, zones) : new Set([zone.id]);
+  const filter = await deviceFilterFromOptions(client, options, { zoneIds });
+  const devices = allDevices.filter(filter);
+  const sensors = aggregateZoneSensors(devices);
+  const subZones = zones.filter((z) => z.parent === zone.id);
+
+  if (options.json) {
+    output({
+      zone: { id: zone.id, name: zone.name, parent: zone.parent || null },
+      recursive: Boolean(options.recursive),
+      subZones: subZones.map((z) => ({ id: z.id, name: z.name })),
+      sensors,
+      devices: devices.map((d) => ({
+        id: d.id,
+        name: d.name,
+        zoneId: d.zoneId,
+        zoneName: d.zoneName,
+        zonePath: d.zonePath,
+        class: d.class,
+        available: d.available,
+        values: d.values,
+      })),
+    }, options);
+    return;
+  }
+
+  console.log(chalk.bold(`\n🏠 ${zone.name}`));
+  if (subZones.length) {
+    console.log(chalk.dim(`Sub-zones: ${subZones.map((z) => z.name).join(', ')}${options.recursive ? '' : ' (use --recursive to include)'}`));
+  }
+
+  const summary = [];
+  if (sensors.temperature) {
+    const t = sensors.temperature;
+    summary.push(`🌡  ${t.average}° avg (${t.min}–${t.max}, ${t.count} sensor${t.count === 1 ? '' : 's'})`);
+  }
+  if (sensors.humidity) {
+    summary.push(`💧 ${sensors.humidity.average}% avg humidity`);
+  }
+  if (sensors.motion) {
+    summary.push(sensors.motion.active
+      ? chalk.yellow(`🏃 Motion: ${sensors.motion.devices.join(', ')}`)
+      : '🏃 No motion');
+  }
+  if (sensors.contact) {
+    summary.push(sensors.contact.active
+      ? chalk.yellow(`🚪 Open: ${sensors.contact.devices.join(', ')}`)
+      : '🚪 All closed');
+  }
+  if (summary.length) console.log(`\n${summary.join('\n')}`);
+
+  const table = new Table({
+    head: [chalk.cyan('Device'), chalk.cyan('Zone'), chalk.cyan('Class'), chalk.cyan('Values')],
+    colWidths: [25, 20, 12, 50],
+    wordWrap: true,
+  });
+
+  for (const d of devices) {
+    const values = ZONE_KEY_CAPABILITIES
+      .filter((c) => (d.capabilities || []).includes(c))
+      .map((c) => `${c}=${formatCapabilityValue(d, c)}`)
+      .join(', ');
+    table.push([
+      d.available ? d.name : chalk.red(`${d.name} (unavailable)`),
+      d.zoneName || '-',
+      d.class || '-',
+      values || '-',
+    ]);
+  }
+
+  console.log(chalk.bold(`\n📱 ${devices.length} devices:\n`));
+  console.log(table.toString());
+}
+
 /**
  * Show connection status
  */
 async function showStatus(options) {
-  const client = createClient();
+  const client = createClient(options);
   const status = await client.getStatus();
 
   if (options.json) {
@@ -518,9 +2344,142 @@ async function showStatus(options) {
   console.log(`  ${chalk.cyan('Platform:')} ${status.platform} ${status.platformVersion ?? ''}`);
   console.log(`  ${chalk.cyan('Hostname:')} ${status.hostname || '-'}`);
   console.log(`  ${chalk.cyan('Homey ID:')} ${status.homeyId || status.cloudId || '-'}`);
+  if (status.homeySelection) {
+    const { query, source } = status.homeySelection;
+    console.log(`  ${chalk.cyan('Selected by:')} ${query ? `${source} (${query})` : 'first Homey on account'}`);
+  }
   console.log(`  ${chalk.cyan('Status:')} ${chalk.green('✓ Connected')}\n`);
 }
 
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '-';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let i = 0;
+  while (Math.abs(value) >= 1024 && i < units.length - 1) {
+    value /= 1024;
+    i++;
+  }
+  return `${i ? value.toFixed(1) : value} ${units[i]}`;
+}
+
+function formatUptime(seconds) {
+  if (seconds === null || seconds === undefined) return '-';
+  const d = Math.floor(seconds / 86400);
+  const h = Math.floor((seconds % 86400) / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return [d && `${d}d`, (d || h) && `${h}h`, `${m}m`].filter(Boolean).join(' ');
+}
+
+function formatUsage(usage) {
+  if (!usage) return '-';
+  const percent = usage.usedPercent !== null ? ` (${usage.usedPercent}%)` : '';
+  return `${formatBytes(usage.used)} of ${formatBytes(usage.total)} used${percent}, ${formatBytes(usage.free)} free`;
+}
+
+/**
+ * Show system health
+ */
+async function systemInfo(options) {
+  const client = createClient(options);
+  const info = await client.getSystemInfo(options);
+
+  if (options.json) {
+    output(info, options);
+    return;
+  }
+
+  const { wifi, ethernet } = info.network;
+  console.log(chalk.bold('\n🖥️  Homey System:\n'));
+  console.log(`  ${chalk.cyan('Name:')} ${info.name}`);
+  console.log(`  ${chalk.cyan('Model:')} ${info.model || '-'}`);
+  console.log(`  ${chalk.cyan('Firmware:')} ${info.firmware || '-'}`);
+  console.log(`  ${chalk.cyan('Uptime:')} ${formatUptime(info.uptime)}`);
+  console.log(`  ${chalk.cyan('Timezone:')} ${info.timezone || '-'}`);
+  console.log(`  ${chalk.cyan('Memory:')} ${formatUsage(info.memory)}`);
+  console.log(`  ${chalk.cyan('Storage:')} ${formatUsage(info.storage)}`);
+  console.log(`  ${chalk.cyan('Wi-Fi:')} ${wifi ? [wifi.ssid, wifi.address, wifi.mac].filter(Boolean).join(', ') : '-'}`);
+  console.log(`  ${chalk.cyan('Ethernet:')} ${ethernet ? [ethernet.address, ethernet.mac].filter(Boolean).join(', ') : '-'}`);
+  console.log('');
+}
+
+/**
+ * Check for firmware updates
+ */
+async function systemUpdates(options) {
+  const client = createClient(options);
+  const result = await client.getSystemUpdates(options);
+
+  if (options.json) {
+    output(result, options);
+    return;
+  }
+
+  const channel = result.channel ? chalk.gray(` (channel: ${result.channel})`) : '';
+  console.log(`${chalk.cyan('Firmware:')} ${result.current || '-'}${channel}`);
+
+  if (!result.updates.length) {
+    console.log(chalk.green('✓ Homey is up to date'));
+    return;
+  }
+
+  for (const update of result.updates) {
+    console.log(chalk.yellow(`⬆ Update available: ${update.version || '-'}`) + (update.date ? chalk.gray(` (${update.date})`) : ''));
+    if (update.changelog) console.log(chalk.dim(`  ${update.changelog.trim().split('\n').join('\n  ')}`));
+  }
+}
+
+/**
+ * Reboot Homey (requires --confirm)
+ */
+async function systemReboot(options) {
+  if (!options.confirm) {
+    throw cliError('INVALID_VALUE', 'refusing to reboot without --confirm', {
+      help: 'homeycli system reboot --confirm',
+    });
+  }
+
+  const client = createClient(options);
+  await client.rebootSystem();
+
+  if (!options.json) {
+    console.log(chalk.green('✓ Homey is rebooting'));
+  } else {
+    output({ success: true, rebooting: true }, options);
+  }
+}
+
+/**
+ * List the Homeys of the cloud account
+ */
+async function listHomeys(options) {
+  const client = createCloudClient(options);
+  const homeys = await client.getHomeys(options);
+
+  if (options.json) {
+    output(homeys, options);
+    return;
+  }
+
+  const table = new Table({
+    head: [chalk.cyan('Name'), chalk.cyan('Platform'), chalk.cyan('Online'), chalk.cyan('ID')],
+    colWidths: [32, 12, 10, 30],
+  });
+
+  for (const homey of homeys) {
+    const online = homey.online === null ? '-' : homey.online ? chalk.green('yes') : chalk.red('no');
+    table.push([
+      `${homey.name || '-'}${homey.selected ? chalk.gray(' (selected)') : ''}`,
+      homey.platform ? `${homey.platform}${homey.platformVersion ? ` ${homey.platformVersion}` : ''}` : '-',
+      online,
+      homey.id,
+    ]);
+  }
+
+  console.log(chalk.bold(`\n🏠 Found ${homeys.length} Homeys:\n`));
+  console.log(table.toString());
+}
+
 /**
  * Save token to ~/.homey/config.json
  */
@@ -760,6 +2719,37 @@ async function authClearCloud(options) {
   console.log(`  ${chalk.cyan('Path:')} ${path}`);
 }
 
+/**
+ * Save the default Homey for cloud mode (resolved against the account, stored by id)
+ */
+async function authSetHomey(nameOrId, options) {
+  if (!nameOrId) {
+    throw cliError('INVALID_VALUE', 'usage: homeycli auth set-homey <name|id>');
+  }
+
+  const client = createCloudClient({});
+  const homey = await client.getCloudHomey(nameOrId, options);
+  const path = config.saveCloudHomey(homey.id);
+  const data = { saved: true, homey: { id: homey.id, name: homey.name }, path };
+
+  if (options.json) {
+    output(data, options);
+    return;
+  }
+
+  console.log(chalk.green('✓ Default Homey saved'));
+  console.log(`  ${chalk.cyan('Homey:')} ${homey.name} (${homey.id})`);
+  console.log(`  ${chalk.cyan('Path:')} ${path}`);
+}
+
+async function authClearHomey(options) {
+  const path = config.clearCloudHomey();
+  const data = { cleared: true, kind: 'homey', path };
+  if (options.json) return output(data, options);
+  console.log(chalk.green('✓ Default Homey cleared (cloud mode uses the first Homey of the account)'));
+  console.log(`  ${chalk.cyan('Path:')} ${path}`);
+}
+
 async function authClearLocal(options) {
   const path = config.clearLocalConfig();
   const data = { cleared: true, kind: 'local', path };
@@ -793,6 +2783,8 @@ async function authStatus(options) {
     cloud: {
       tokenPresent: Boolean(cloud.token),
       tokenSource: cloud.source,
+      homey: options.homey || conn.cloud.homey,
+      homeySource: options.homey ? 'flag' : conn.cloud.homeySource,
     },
   };
 
@@ -817,6 +2809,7 @@ async function authStatus(options) {
   console.log(chalk.bold('\n  Cloud (remote):'));
   console.log(`    ${chalk.cyan('Token present:')} ${data.cloud.tokenPresent ? chalk.green('yes') : chalk.red('no')} (${data.cloud.tokenSource || '-'})`);
   if (cloudLast4) console.log(`    ${chalk.cyan('Token last4:')} ${cloudLast4}`);
+  console.log(`    ${chalk.cyan('Homey:')} ${data.cloud.homey ? `${data.cloud.homey} (${data.cloud.homeySource})` : 'first on account (default)'}`);
 
   console.log('\n  Setup commands:');
   console.log('    Local:  echo "<LOCAL_API_KEY>" | homeycli auth set-local --address http://<homey-ip> --stdin');
@@ -828,21 +2821,42 @@ async function authStatus(options) {
  * Snapshot of the world (status + zones + devices). Flows intentionally excluded by default.
  */
 async function snapshot(options) {
-  const client = createClient();
+  const client = createClient(options);
 
   // Parallelize the network calls to reduce latency.
-  const [status, zones, devices] = await Promise.all([
+  const [status, zones, allDevices, filter] = await Promise.all([
     client.getStatus(),
     client.getZones(options),
     client.getDevices(options),
+    deviceFilterFromOptions(client, options),
   ]);
 
+  const devices = allDevices.filter(filter);
   const data = { status, zones, devices };
 
   if (options.includeFlows) {
     data.flows = await client.getFlows(options);
   }
 
+  if (options.includeUsers) {
+    // Users need their own scope; without it the rest of the snapshot is still useful.
+    try {
+      data.users = await client.getUsers(options);
+    } catch (err) {
+      data.users = null;
+      data.errors = { ...data.errors, users: { code: err.code || 'ERROR', message: err.message } };
+    }
+  }
+
+  if (options.includeMoods) {
+    try {
+      data.moods = await client.getMoods(options);
+    } catch (err) {
+      data.moods = null;
+      data.errors = { ...data.errors, moods: { code: err.code || 'ERROR', message: err.message } };
+    }
+  }
+
   if (options.json) {
     output(data, options);
     return;
@@ -853,6 +2867,14 @@ async function snapshot(options) {
   console.log(`  ${chalk.cyan('Devices:')} ${devices.length}`);
   console.log(`  ${chalk.cyan('Zones:')} ${zones.length}`);
   if (data.flows) console.log(`  ${chalk.cyan('Flows:')} ${data.flows.length}`);
+  if (data.moods) console.log(`  ${chalk.cyan('Moods:')} ${data.moods.length}`);
+  else if (data.errors?.moods) console.log(`  ${chalk.cyan('Moods:')} ${chalk.yellow(`unknown (${data.errors.moods.message})`)}`);
+  if (data.users) {
+    const home = data.users.filter((u) => u.present).map((u) => u.name);
+    console.log(`  ${chalk.cyan('Home:')} ${home.length ? home.join(', ') : 'nobody'}`);
+  } else if (data.errors?.users) {
+    console.log(`  ${chalk.cyan('Home:')} ${chalk.yellow(`unknown (${data.errors.users.message})`)}`);
+  }
   console.log('');
 }
 
@@ -860,13 +2882,57 @@ module.exports = {
   listDevices,
   controlDevice,
   setCapability,
+  toggleCapability,
   getCapability,
+  waitForCapability,
   getDeviceValues,
   getDeviceCapabilities,
   inspectDevice,
+  controlZone,
+  watchDevices,
+  listInsights,
+  getInsights,
+  energyReport,
   listFlows,
   triggerFlow,
+  setFlowEnabled,
+  exportFlows,
+  importFlows,
+  deviceFlows,
+  lintFlows,
+  listCards,
+  runCard,
+  testCard,
+  listVariables,
+  getVariable,
+  setVariable,
+  createVariable,
+  deleteVariable,
+  notify,
+  listNotifications,
+  clearNotifications,
+  listUsers,
+  setPresence,
+  listApps,
+  inspectApp,
+  controlApp,
+  getAppSettings,
+  setAppSetting,
+  listMoods,
+  activateMood,
+  listAlarms,
+  createAlarm,
+  updateAlarm,
+  setAlarmEnabled,
+  deleteAlarm,
+  systemInfo,
+  systemUpdates,
+  systemReboot,
+  listHomeys,
+  authSetHomey,
+  authClearHomey,
   listZones,
+  showZone,
   showStatus,
   snapshot,
 
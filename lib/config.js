@@ -103,6 +103,17 @@ function getLocalAddressInfo() {
   return { address, source: address ? 'config' : null, path: configPath };
 }
 
+/**
+ * Default Homey for cloud mode (name or id), for accounts with more than one Homey.
+ * The global `--homey` option overrides it per command.
+ */
+function getCloudHomeyInfo() {
+  const { cfg, path: configPath } = _readConfigFile();
+
+  const homey = cfg?.cloud?.homey || null;
+  return { homey, source: homey ? 'config' : null, path: configPath };
+}
+
 function getModeInfo() {
   const { cfg, path: configPath } = _readConfigFile();
 
@@ -132,6 +143,7 @@ function getConnectionInfo() {
   const cloud = getCloudTokenInfo();
   const localToken = getLocalTokenInfo();
   const localAddress = getLocalAddressInfo();
+  const cloudHomey = getCloudHomeyInfo();
 
   const wanted = modeInfo.mode;
 
@@ -157,6 +169,8 @@ function getConnectionInfo() {
     cloud: {
       token: cloud.token,
       tokenSource: cloud.source,
+      homey: cloudHomey.homey,
+      homeySource: cloudHomey.source,
     },
   };
 }
@@ -173,6 +187,25 @@ function saveCloudToken(token) {
   return _writeConfigFile(next);
 }
 
+function saveCloudHomey(homey) {
+  const h = String(homey || '').trim();
+  const { cfg } = _readConfigFile();
+
+  const next = { ...(cfg || {}) };
+  next.cloud = { ...(next.cloud || {}), homey: h };
+
+  return _writeConfigFile(next);
+}
+
+function clearCloudHomey() {
+  const { cfg } = _readConfigFile();
+  const next = { ...(cfg || {}) };
+  if (next.cloud && typeof next.cloud === 'object') {
+    delete next.cloud.homey;
+  }
+  return _writeConfigFile(next);
+}
+
 function saveLocalConfig({ address, token }) {
   const a = address !== undefined ? String(address || '').trim() : undefined;
   const t = token !== undefined ? String(token || '').trim() : undefined;
@@ -246,13 +279,16 @@ module.exports = {
   getCloudTokenInfo,
   getLocalTokenInfo,
   getLocalAddressInfo,
+  getCloudHomeyInfo,
   getConnectionInfo,
 
   saveCloudToken,
+  saveCloudHomey,
   saveLocalConfig,
   saveLocalAddress,
   saveMode,
   clearCloudToken,
+  clearCloudHomey,
   clearLocalConfig,
 
   // Legacy API
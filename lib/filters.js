@@ -0,0 +1,90 @@
+const { cliError } = require('./errors');
+
+const OPERATORS = ['>=', '<=', '!=', '=', '>', '<'];
+
+/**
+ * Parse a CLI literal into a boolean, number or string.
+ * @param {string} raw
+ * @returns {boolean|number|string}
+ */
+function parseLiteral(raw) {
+  const v = String(raw).trim();
+  if (v.toLowerCase() === 'true') return true;
+  if (v.toLowerCase() === 'false') return false;
+  if (v !== '' && !Number.isNaN(Number(v))) return Number(v);
+  return v;
+}
+
+/**
+ * Parse a value predicate like `onoff=true`, `measure_temperature>=21` or `dim!=0`.
+ * @param {string} expr
+ * @returns {{capability: string, op: string, value: boolean|number|string}}
+ */
+function parseWhere(expr) {
+  const s = String(expr || '').trim();
+  const match = s.match(/^([A-Za-z0-9_.-]+)\s*(>=|<=|!=|=|>|<)\s*(.*)$/);
+  if (!match || match[3] === '') {
+    throw cliError('INVALID_VALUE', `invalid --where expression: '${expr}'`, {
+      help: `use <capability><op><value> with op one of ${OPERATORS.join(' ')} (e.g. onoff=true, measure_temperature>=21)`,
+    });
+  }
+
+  return { capability: match[1], op: match[2], value: parseLiteral(match[3]) };
+}
+
+/**
+ * Compare an actual value against an expected value.
+ * Ordering operators only apply to numbers; strings/booleans support = and !=.
+ * @param {any} actual
+ * @param {string} op
+ * @param {any} expected
+ * @returns {boolean}
+ */
+function compareValues(actual, op, expected) {
+  if (op === '=') return actual === expected || String(actual) === String(expected);
+  if (op === '!=') return !(actual === expected || String(actual) === String(expected));
+
+  if (typeof actual !== 'number' || typeof expected !== 'number') return false;
+  if (op === '>') return actual > expected;
+  if (op === '>=') return actual >= expected;
+  if (op === '<') return actual < expected;
+  if (op === '<=') return actual <= expected;
+  return false;
+}
+
+/**
+ * Build a predicate over picked devices (see HomeyClient#_pickDevice).
+ *
+ * @param {object} criteria
+ * @param {Set<string>} [criteria.zoneIds]
+ * @param {string} [criteria.className]
+ * @param {string} [criteria.capability]
+ * @param {boolean} [criteria.available]
+ * @param {Array<{capability: string, op: string, value: any}>} [criteria.where]
+ * @returns {(device: object) => boolean}
+ */
+function createDeviceFilter(criteria = {}) {
+  const className = criteria.className ? String(criteria.className).toLowerCase() : null;
+  const where = criteria.where || [];
+
+  return (device) => {
+    if (criteria.zoneIds && !criteria.zoneIds.has(device.zoneId)) return false;
+    if (className && String(device.class || '').toLowerCase() !== className) return false;
+    if (criteria.capability && !(device.capabilities || []).includes(criteria.capability)) return false;
+    if (criteria.available !== undefined && Boolean(device.available) !== criteria.available) return false;
+
+    for (const w of where) {
+      if (!(device.capabilities || []).includes(w.capability)) return false;
+      if (!compareValues(device.values?.[w.capability], w.op, w.value)) return false;
+    }
+
+    return true;
+  };
+}
+
+module.exports = {
+  parseLiteral,
+  parseWhere,
+  compareValues,
+  createDeviceFilter,
+};
@@ -0,0 +1,384 @@
+const { cliError } = require('./errors');
+const { coerceTypedValue } = require('./capabilities');
+
+/**
+ * The trigger card of a standard or advanced flow.
+ * @param {{type: 'standard'|'advanced', flow: object}} entry
+ * @returns {object|null}
+ */
+function getTriggerCard(entry) {
+  if (entry.type === 'advanced') {
+    return Object.values(entry.flow.cards || {}).find((c) => c?.type === 'trigger') || null;
+  }
+  return entry.flow.trigger || null;
+}
+
+/**
+ * Normalize token definitions (array or `{ [id]: def }` map) to `{ id, type, title }`.
+ * @param {Array|object} tokens
+ * @returns {Array<{id: string, type: string|null, title: string|null}>}
+ */
+function normalizeTokenDefinitions(tokens) {
+  const list = Array.isArray(tokens)
+    ? tokens
+    : Object.entries(tokens || {}).map(([id, def]) => ({ id, ...def }));
+
+  return list
+    .filter((t) => t && t.id)
+    .map((t) => ({
+      id: String(t.id),
+      type: t.type || null,
+      title: typeof t.title === 'object' ? (t.title?.en || Object.values(t.title)[0] || null) : (t.title || null),
+    }));
+}
+
+/**
+ * Merge repeatable `--arg key=value` options and an `--args-json '{...}'` object.
+ * Values from --arg stay strings (coerced later by type); --arg wins over --args-json.
+ *
+ * @param {string[]} [args]
+ * @param {string} [argsJson]
+ * @returns {Record<string, any>}
+ */
+function parseArgOptions(args = [], argsJson) {
+  let result = {};
+
+  if (argsJson !== undefined) {
+    let parsed;
+    try {
+      parsed = JSON.parse(argsJson);
+    } catch (err) {
+      throw cliError('INVALID_VALUE', `invalid --args-json: ${err.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw cliError('INVALID_VALUE', '--args-json must be a JSON object, e.g. \'{"name":"value"}\'');
+    }
+    result = { ...parsed };
+  }
+
+  for (const arg of args) {
+    const idx = String(arg).indexOf('=');
+    if (idx <= 0) {
+      throw cliError('INVALID_VALUE', `invalid --arg '${arg}' (use key=value)`);
+    }
+    result[arg.slice(0, idx).trim()] = arg.slice(idx + 1);
+  }
+
+  return result;
+}
+
+/**
+ * Validate and coerce flow tokens against the trigger card token definitions.
+ *
+ * @param {Array<{id: string, type: string|null}>} definitions
+ * @param {Record<string, any>} tokens raw values (strings from --arg, typed from --args-json)
+ * @param {{flow: {id: string, name: string}}} context used in error details
+ * @returns {Record<string, any>}
+ */
+function coerceFlowTokens(definitions, tokens, context) {
+  const expected = definitions.map((d) => ({ id: d.id, type: d.type, title: d.title }));
+  const help = `expected tokens: ${expected.map((d) => `${d.id} (${d.type || 'any'})`).join(', ')}`;
+
+  if (!definitions.length) {
+    throw cliError('INVALID_VALUE', `flow '${context.flow.name}' does not accept tokens (its trigger card defines none)`, {
+      flow: context.flow,
+      expected,
+    });
+  }
+
+  const byId = new Map(definitions.map((d) => [d.id, d]));
+  const unknown = Object.keys(tokens).filter((k) => !byId.has(k));
+  if (unknown.length) {
+    throw cliError('INVALID_VALUE', `unknown token(s) for flow '${context.flow.name}': ${unknown.join(', ')}`, {
+      flow: context.flow,
+      unknown,
+      expected,
+      help,
+    });
+  }
+
+  const result = {};
+  const invalid = [];
+  for (const [id, raw] of Object.entries(tokens)) {
+    const coerced = coerceTypedValue(byId.get(id).type, raw);
+    if (coerced.error) invalid.push({ id, value: raw, type: byId.get(id).type, error: coerced.error });
+    else result[id] = coerced.value;
+  }
+
+  if (invalid.length) {
+    throw cliError('INVALID_VALUE', `invalid token value(s) for flow '${context.flow.name}': ${invalid.map((i) => `${i.id} (${i.error})`).join(', ')}`, {
+      flow: context.flow,
+      invalid,
+      expected,
+      help,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * All cards of a standard or advanced flow with their role.
+ * Advanced flows also contain structural cards (e.g. delay, note); their `type` is kept as-is.
+ * @param {{type: 'standard'|'advanced', flow: object}} entry
+ * @returns {Array<{key: string, type: string, id: string|null, card: object}>}
+ */
+function flowCards(entry) {
+  const { type, flow } = entry;
+
+  if (type === 'advanced') {
+    return Object.entries(flow.cards || {})
+      .filter(([, card]) => card)
+      .map(([key, card]) => ({ key, type: card.type || 'unknown', id: card.id || null, card }));
+  }
+
+  const cards = [];
+  if (flow.trigger) cards.push({ key: 'trigger', type: 'trigger', id: flow.trigger.id || null, card: flow.trigger });
+  (flow.conditions || []).forEach((card, i) => {
+    cards.push({ key: `conditions.${i}`, type: 'condition', id: card?.id || null, card });
+  });
+  (flow.actions || []).forEach((card, i) => {
+    cards.push({ key: `actions.${i}`, type: 'action', id: card?.id || null, card });
+  });
+  return cards;
+}
+
+/**
+ * Flow started by a "Start a Flow" action card: a card of Homey's flow manager
+ * with a flow picker argument.
+ * @param {object} card standard or advanced flow card
+ * @returns {string|null} id of the started flow
+ */
+function startedFlowId(card) {
+  const id = String(card?.id || '');
+  const owner = card?.uri || card?.ownerUri || id.split(':').slice(0, 3).join(':');
+  const flowId = card?.args?.flow?.id;
+  return owner === 'homey:manager:flow' && typeof flowId === 'string' ? flowId : null;
+}
+
+/**
+ * Cards of a flow that reference an id anywhere: card id/uri/ownerUri (`homey:device:<id>`),
+ * args (device/variable pickers) or tokens (`[[homey:manager:logic|<id>]]`).
+ * @param {{type: 'standard'|'advanced', flow: object}} entry
+ * @param {string} id
+ * @returns {Array<{key: string, type: string, id: string|null}>}
+ */
+function findCardReferences(entry, id) {
+  if (!id) return [];
+  return flowCards(entry)
+    .filter((c) => JSON.stringify(c.card).includes(id))
+    .map(({ key, type, id: cardId }) => ({ key, type, id: cardId }));
+}
+
+const REF_PATTERNS = {
+  device: /homey:device:([^:|"\]\s]+)/g,
+  variable: /homey:manager:logic\|([^:|"\]\s]+)/g,
+  app: /homey:app:([^:|"\]\s]+)/g,
+};
+
+function matchAll(text, pattern) {
+  return [...new Set([...text.matchAll(pattern)].map((m) => m[1]))];
+}
+
+/**
+ * Lint flows for problems that make them silently stop working.
+ *
+ * Errors: flows marked broken, cards that no longer exist, and cards referencing devices,
+ * logic variables or apps that no longer exist.
+ * Warnings: disabled flows that are the only flow started by another (enabled) flow.
+ *
+ * A check is skipped when its lookup set is null (e.g. no permission to read apps).
+ *
+ * @param {Record<string, {type: 'standard'|'advanced', flow: object}>} entries see HomeyClient#_getFlowEntries
+ * @param {object} known ids that exist on the Homey
+ * @param {Set<string>|null} known.deviceIds
+ * @param {Set<string>|null} known.variableIds
+ * @param {Set<string>|null} known.appIds
+ * @param {{trigger: Set<string>, condition: Set<string>, action: Set<string>}|null} [known.cardIds]
+ * @returns {Array<{severity: 'error'|'warning', code: string, flow: object, message: string, card?: object, ref?: string}>}
+ */
+function lintFlows(entries, known) {
+  const issues = [];
+  const ref = (id, entry) => ({ id, name: entry.flow.name, type: entry.type });
+
+  for (const [flowId, entry] of Object.entries(entries)) {
+    const flow = ref(flowId, entry);
+
+    if (entry.flow.broken) {
+      issues.push({ severity: 'error', code: 'BROKEN', flow, message: 'flow is marked broken by Homey' });
+    }
+
+    for (const c of flowCards(entry)) {
+      const json = JSON.stringify(c.card);
+      const card = { key: c.key, type: c.type, id: c.id };
+
+      const available = known.cardIds?.[c.type];
+      if (available && c.id && !available.has(c.id)) {
+        issues.push({ severity: 'error', code: 'MISSING_CARD', flow, card, ref: c.id, message: `${c.type} card ${c.id} is not available (app removed or card no longer exists)` });
+      }
+
+      const variableIds = matchAll(json, REF_PATTERNS.variable);
+      if (c.id?.startsWith('homey:manager:logic') && c.card.args?.variable?.id) {
+        variableIds.push(c.card.args.variable.id);
+      }
+
+      const checks = [
+        ['MISSING_DEVICE', 'device', matchAll(json, REF_PATTERNS.device), known.deviceIds],
+        ['MISSING_VARIABLE', 'logic variable', [...new Set(variableIds)], known.variableIds],
+        ['MISSING_APP', 'app', matchAll(json, REF_PATTERNS.app), known.appIds],
+      ];
+
+      for (const [code, label, ids, set] of checks) {
+        if (!set) continue;
+        for (const id of ids.filter((i) => !set.has(i))) {
+          issues.push({ severity: 'error', code, flow, card, ref: id, message: `${c.type} card references missing ${label} ${id}` });
+        }
+      }
+    }
+  }
+
+  // A flow whose actions start exactly one other flow is dead when that flow is disabled.
+  for (const [flowId, entry] of Object.entries(entries)) {
+    if (entry.flow.enabled === false) continue;
+
+    const started = flowCards(entry).filter((c) => c.type === 'action').map((c) => startedFlowId(c.card));
+    const targets = [...new Set(started)].filter((id) => id && id !== flowId && entries[id]);
+    if (targets.length !== 1) continue;
+
+    const target = entries[targets[0]];
+    if (target.flow.enabled === false) {
+      issues.push({
+        severity: 'warning',
+        code: 'DISABLED_TARGET',
+        flow: ref(targets[0], target),
+        message: `flow is disabled but is the only flow started by '${entry.flow.name}'`,
+        ref: flowId,
+      });
+    }
+  }
+
+  return issues;
+}
+
+const EXPORT_VERSION = 1;
+
+/**
+ * Writable fields of a flow, as accepted by createFlow/updateFlow (standard)
+ * and createAdvancedFlow/updateAdvancedFlow (advanced).
+ * @param {{type: 'standard'|'advanced', flow: object}} entry
+ * @returns {object}
+ */
+function flowDefinition(entry) {
+  const { type, flow } = entry;
+  const base = { name: flow.name, enabled: flow.enabled !== false, folder: flow.folder || null };
+
+  if (type === 'advanced') {
+    return { ...base, cards: flow.cards || {} };
+  }
+  return {
+    ...base,
+    trigger: flow.trigger,
+    conditions: flow.conditions || [],
+    actions: flow.actions || [],
+  };
+}
+
+/**
+ * Which of the given ids occur anywhere in a flow definition (card ids, uris, args, tokens).
+ * @param {object} definition
+ * @param {Iterable<string>} ids
+ * @returns {string[]}
+ */
+function referencedIds(definition, ids) {
+  const json = JSON.stringify(definition);
+  return [...ids].filter((id) => id && json.includes(id));
+}
+
+/**
+ * Replace ids throughout a flow definition.
+ * @param {object} definition
+ * @param {Map<string, string>} idMap old id -> new id
+ * @returns {object}
+ */
+function replaceIds(definition, idMap) {
+  let json = JSON.stringify(definition);
+  for (const [from, to] of idMap) {
+    if (from !== to) json = json.split(from).join(to);
+  }
+  return JSON.parse(json);
+}
+
+/**
+ * Map exported device ids onto the devices of the target Homey.
+ * Ids that exist on the target are kept; otherwise devices are matched by name
+ * (case-insensitive), using the zone name to break ties.
+ *
+ * @param {Record<string, {name: string, zoneName?: string|null}>} exported
+ * @param {Array<{id: string, name: string, zoneName?: string|null}>} devices picked devices of the target
+ * @returns {Array<{from: string, to: string|null, name: string, status: 'same'|'mapped'|'missing'|'ambiguous'}>}
+ */
+function mapDevicesByName(exported, devices) {
+  const byId = new Map(devices.map((d) => [d.id, d]));
+  const lower = (v) => String(v || '').toLowerCase();
+
+  return Object.entries(exported || {}).map(([from, info]) => {
+    if (byId.has(from)) return { from, to: from, name: info.name, status: 'same' };
+
+    let matches = devices.filter((d) => lower(d.name) === lower(info.name));
+    if (matches.length > 1 && info.zoneName) {
+      matches = matches.filter((d) => lower(d.zoneName) === lower(info.zoneName));
+    }
+
+    if (matches.length === 1) return { from, to: matches[0].id, name: info.name, status: 'mapped' };
+    return { from, to: null, name: info.name, status: matches.length ? 'ambiguous' : 'missing' };
+  });
+}
+
+/**
+ * Parse and sanity-check a flow export document.
+ * @param {string} text
+ * @param {string} file used in error messages
+ */
+function parseFlowExport(text, file) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (err) {
+    throw cliError('INVALID_VALUE', `invalid flow export '${file}': ${err.message}`);
+  }
+
+  if (!doc || !Array.isArray(doc.flows)) {
+    throw cliError('INVALID_VALUE', `invalid flow export '${file}': missing 'flows' array`, {
+      help: 'create one with: homeycli flow export --all -o flows.json',
+    });
+  }
+  if (doc.version !== undefined && doc.version > EXPORT_VERSION) {
+    throw cliError('INVALID_VALUE', `flow export '${file}' has unsupported version ${doc.version}`);
+  }
+
+  for (const f of doc.flows) {
+    if (!f || !['standard', 'advanced'].includes(f.type) || !f.definition?.name) {
+      throw cliError('INVALID_VALUE', `invalid flow export '${file}': every flow needs a type and a definition with a name`, {
+        flow: f?.name ?? f?.id ?? null,
+      });
+    }
+  }
+
+  return doc;
+}
+
+module.exports = {
+  flowCards,
+  findCardReferences,
+  lintFlows,
+  EXPORT_VERSION,
+  flowDefinition,
+  referencedIds,
+  replaceIds,
+  mapDevicesByName,
+  parseFlowExport,
+  getTriggerCard,
+  normalizeTokenDefinitions,
+  parseArgOptions,
+  coerceFlowTokens,
+};
@@ -19,6 +19,8 @@ const { cliError } = require('./errors');
  * @param {number} [opts.threshold=5]
  * @param {number} [opts.candidateLimit=20]
  * @param {number} [opts.suggestionLimit=5]
+ * @param {(value: T) => string[]} [opts.getPath] zone path names of an entry (root first); enables
+ *   zone-qualified queries like "Upstairs/Bathroom/Light" and adds `path` to candidates
  * @returns {{id: string, value: T, name: string}}
  */
 function resolveByIdOrName(nameOrId, obj, opts) {
@@ -38,6 +40,23 @@ function resolveByIdOrName(nameOrId, obj, opts) {
     throw cliError('INVALID_VALUE', `${typeLabel} query is required`);
   }
   const queryLower = query.toLowerCase();
+  const getPath = opts?.getPath;
+
+  // 0) Zone-qualified query: leading segments narrow the entries to those whose zone path
+  // contains them (in order), the last segment is resolved as a name within that scope.
+  // Falls through to plain matching when nothing is in scope (names may contain '/').
+  if (getPath && query.includes('/')) {
+    const segments = query.split('/').map((seg) => seg.trim().toLowerCase()).filter(Boolean);
+    const name = segments.pop();
+    if (name && segments.length) {
+      const scoped = Object.fromEntries(
+        Object.entries(obj || {}).filter(([, value]) => pathContains(getPath(value) || [], segments))
+      );
+      if (Object.keys(scoped).length) {
+        return resolveByIdOrName(name, scoped, opts);
+      }
+    }
+  }
 
   const entries = Object.entries(obj || {}).map(([id, value]) => {
     const name = getName(value);
@@ -45,9 +64,11 @@ function resolveByIdOrName(nameOrId, obj, opts) {
       id,
       name,
       nameLower: (name || '').toLowerCase(),
+      path: getPath ? (getPath(value) || []).join(' / ') || null : undefined,
       value,
     };
   });
+  const candidate = (e) => (getPath ? { id: e.id, name: e.name, path: e.path } : { id: e.id, name: e.name });
 
   // 1) Exact match(es)
   const exactMatches = entries.filter((e) => e.nameLower === queryLower);
@@ -59,7 +80,7 @@ function resolveByIdOrName(nameOrId, obj, opts) {
     throw cliError(
       'AMBIGUOUS',
       `ambiguous ${typeLabel} query '${query}' (matched ${exactMatches.length} ${typeLabel}s). Use an id.`,
-      { candidates: exactMatches.slice(0, candidateLimit).map((m) => ({ id: m.id, name: m.name })) }
+      { candidates: exactMatches.slice(0, candidateLimit).map(candidate) }
     );
   }
 
@@ -75,7 +96,7 @@ function resolveByIdOrName(nameOrId, obj, opts) {
     throw cliError(
       'AMBIGUOUS',
       `ambiguous ${typeLabel} query '${query}' (matched ${substringMatches.length} ${typeLabel}s). Use an id.`,
-      { candidates: substringMatches.slice(0, candidateLimit).map((m) => ({ id: m.id, name: m.name })) }
+      { candidates: substringMatches.slice(0, candidateLimit).map(candidate) }
     );
   }
 
@@ -88,7 +109,7 @@ function resolveByIdOrName(nameOrId, obj, opts) {
   if (!best || best.d > threshold) {
     const suggestions = fuzzy
       .fuzzySearch(query, entries, suggestionLimit)
-      .map((e) => ({ id: e.id, name: e.name }))
+      .map(candidate)
       .filter((e) => e.name);
 
     throw cliError(
@@ -103,13 +124,27 @@ function resolveByIdOrName(nameOrId, obj, opts) {
     throw cliError(
       'AMBIGUOUS',
       `ambiguous ${typeLabel} query '${query}' (matched ${bestTied.length} ${typeLabel}s at distance ${best.d}). Use an id.`,
-      { candidates: bestTied.slice(0, candidateLimit).map((x) => ({ id: x.e.id, name: x.e.name })) }
+      { candidates: bestTied.slice(0, candidateLimit).map((x) => candidate(x.e)) }
     );
   }
 
   return { id: best.e.id, value: best.e.value, name: best.e.name };
 }
 
+/**
+ * Whether all segments appear in the path, in order (case-insensitive).
+ * @param {string[]} path
+ * @param {string[]} segments lowercased
+ */
+function pathContains(path, segments) {
+  let i = 0;
+  for (const name of path) {
+    if (String(name).toLowerCase() === segments[i]) i += 1;
+    if (i === segments.length) return true;
+  }
+  return false;
+}
+
 module.exports = {
   resolveByIdOrName,
 };
@@ -0,0 +1,52 @@
+const { cliError } = require('./errors');
+
+const UNITS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a human duration (`500ms`, `30s`, `5m`, `1h`, `2d`) into milliseconds.
+ * A bare number is interpreted as seconds.
+ * @param {string|number} value
+ * @param {string} [label] option name used in error messages
+ * @returns {number}
+ */
+function parseDuration(value, label = 'duration') {
+  const s = String(value ?? '').trim().toLowerCase();
+  const match = s.match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?$/);
+  if (!match) {
+    throw cliError('INVALID_VALUE', `invalid ${label}: '${value}' (use e.g. 30s, 5m, 1h)`);
+  }
+  return Math.round(parseFloat(match[1]) * UNITS[match[2] || 's']);
+}
+
+/**
+ * Parse a point in time: `now`, an ISO date/datetime, or a duration ago (`24h`, `7d`).
+ * @param {string} value
+ * @param {string} [label] option name used in error messages
+ * @param {number} [now] reference time (ms), defaults to Date.now()
+ * @returns {Date}
+ */
+function parseTimestamp(value, label = 'time', now = Date.now()) {
+  const s = String(value ?? '').trim();
+  if (s.toLowerCase() === 'now') return new Date(now);
+
+  if (/^\d+(?:\.\d+)?\s*(ms|s|m|h|d)$/i.test(s)) {
+    return new Date(now - parseDuration(s, label));
+  }
+
+  const t = Date.parse(s);
+  if (Number.isNaN(t)) {
+    throw cliError('INVALID_VALUE', `invalid ${label}: '${value}' (use now, an ISO date like 2026-10-01, or a duration ago like 24h)`);
+  }
+  return new Date(t);
+}
+
+module.exports = {
+  parseDuration,
+  parseTimestamp,
+};
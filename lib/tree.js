@@ -0,0 +1,72 @@
+/**
+ * Build a forest from items linked by `parent` ids (zones, flow folders).
+ * Items whose parent is unknown, and items on a parent cycle (including self-parents),
+ * become roots; siblings are sorted by name.
+ *
+ * @template {{id: string, name?: string, parent?: string|null}} T
+ * @param {T[]} items
+ * @returns {Array<{item: T, children: Array}>}
+ */
+function buildTree(items) {
+  const nodes = new Map((items || []).map((item) => [item.id, { item, children: [] }]));
+  const parentOf = (node) => (node.item.parent ? nodes.get(node.item.parent) || null : null);
+  const onCycle = (node) => {
+    const seen = new Set();
+    for (let p = parentOf(node); p && !seen.has(p); p = parentOf(p)) {
+      if (p === node) return true;
+      seen.add(p);
+    }
+    return false;
+  };
+
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = parentOf(node);
+    if (parent && !onCycle(node)) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  const byName = (a, b) => String(a.item.name || '').localeCompare(String(b.item.name || ''));
+  const sort = (list) => {
+    list.sort(byName);
+    for (const n of list) sort(n.children);
+  };
+  sort(roots);
+
+  return roots;
+}
+
+/**
+ * Find the node of an item id in a forest built by buildTree().
+ * @returns {{item: object, children: Array}|null}
+ */
+function findTreeNode(roots, id) {
+  for (const node of roots) {
+    if (node.item.id === id) return node;
+    const found = findTreeNode(node.children, id);
+    if (found) return found;
+  }
+  return null;
+}
+
+/**
+ * Render `{ label, children }` nodes as box-drawing lines.
+ * @param {Array<{label: string, children?: Array}>} nodes
+ * @param {string} [prefix]
+ * @returns {string[]}
+ */
+function renderTree(nodes, prefix = '') {
+  const lines = [];
+  nodes.forEach((node, i) => {
+    const last = i === nodes.length - 1;
+    lines.push(`${prefix}${last ? '└─ ' : '├─ '}${node.label}`);
+    lines.push(...renderTree(node.children || [], `${prefix}${last ? '   ' : '│  '}`));
+  });
+  return lines;
+}
+
+module.exports = {
+  buildTree,
+  findTreeNode,
+  renderTree,
+};
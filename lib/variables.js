@@ -0,0 +1,87 @@
+const { cliError } = require('./errors');
+const {
+  parseBoolean,
+  parseNumber,
+  parseRelative,
+  applyRelative,
+  countDecimals,
+  roundTo,
+} = require('./capabilities');
+
+const VARIABLE_TYPES = ['number', 'boolean', 'string'];
+
+/**
+ * Validate a logic variable type option.
+ * @param {string} type
+ * @returns {'number'|'boolean'|'string'}
+ */
+function parseVariableType(type) {
+  const t = String(type || '').toLowerCase();
+  if (!VARIABLE_TYPES.includes(t)) {
+    throw cliError('INVALID_VALUE', `invalid variable type: '${type ?? ''}' (use ${VARIABLE_TYPES.join(', ')})`);
+  }
+  return t;
+}
+
+/**
+ * Parse a CLI string value according to the type of a logic variable.
+ * Like capability values, numbers may be relative to the current value (`+1`, `-=0.5`, `*2`);
+ * plain numbers, including negative ones, are absolute.
+ *
+ * @param {{id: string, name: string, type: string, value: any}} variable picked variable
+ * @param {string} value
+ * @param {{absolute?: boolean}} [opts] treat `+1` as a plain number (e.g. initial values)
+ * @returns {{value: any, relative?: boolean}}
+ */
+function parseVariableValue(variable, value, opts = {}) {
+  const ref = { id: variable.id, name: variable.name };
+
+  if (variable.type === 'number') {
+    const rel = opts.absolute ? null : parseRelative(value);
+    if (rel) {
+      if (typeof variable.value !== 'number') {
+        throw cliError('INVALID_VALUE', `cannot apply relative value '${value}' to '${variable.name}': current value is unknown`, {
+          variable: ref,
+          value,
+          current: variable.value ?? null,
+        });
+      }
+      // Round off floating point noise (0.1 + 0.2) to the precision of the operands.
+      const decimals = rel.op === '*' || rel.percent
+        ? countDecimals(variable.value) + countDecimals(rel.amount) + (rel.percent ? 2 : 0)
+        : Math.max(countDecimals(variable.value), countDecimals(rel.amount));
+      return { value: roundTo(applyRelative(variable.value, rel), decimals), relative: true };
+    }
+
+    const n = parseNumber(value);
+    if (n === null) {
+      throw cliError('INVALID_VALUE', `invalid number for variable '${variable.name}': '${value}'`, {
+        variable: ref,
+        value,
+        expectedType: 'number',
+        help: 'use a number (e.g. -1), or +n, -=n, *n to change the current value',
+      });
+    }
+    return { value: n };
+  }
+
+  if (variable.type === 'boolean') {
+    const b = parseBoolean(value);
+    if (b === null) {
+      throw cliError('INVALID_VALUE', `invalid boolean for variable '${variable.name}': '${value}' (use true/false/on/off/1/0)`, {
+        variable: ref,
+        value,
+        expectedType: 'boolean',
+      });
+    }
+    return { value: b };
+  }
+
+  return { value: String(value) };
+}
+
+module.exports = {
+  VARIABLE_TYPES,
+  parseVariableType,
+  parseVariableValue,
+};
@@ -0,0 +1,139 @@
+/**
+ * Collect the ids of a zone and all of its descendants (via `parent`).
+ *
+ * @param {string} zoneId
+ * @param {Array<{id: string, parent?: string|null}>} zones
+ * @returns {Set<string>}
+ */
+function zoneDescendantIds(zoneId, zones) {
+  const childrenByParent = new Map();
+  for (const z of zones || []) {
+    if (!z.parent) continue;
+    if (!childrenByParent.has(z.parent)) childrenByParent.set(z.parent, []);
+    childrenByParent.get(z.parent).push(z.id);
+  }
+
+  const ids = new Set([zoneId]);
+  const queue = [zoneId];
+  while (queue.length) {
+    const id = queue.shift();
+    for (const childId of childrenByParent.get(id) || []) {
+      if (ids.has(childId)) continue;
+      ids.add(childId);
+      queue.push(childId);
+    }
+  }
+
+  return ids;
+}
+
+const zoneIndexes = new WeakMap();
+
+/**
+ * Zones by id. The index is built once per zones array, so path lookups for many
+ * devices don't rescan the zone list.
+ *
+ * @param {Array<{id: string}>} zones
+ * @returns {Map<string, object>}
+ */
+function indexZones(zones) {
+  if (!zones) return new Map();
+  let byId = zoneIndexes.get(zones);
+  if (!byId) {
+    byId = new Map(zones.map((z) => [z.id, z]));
+    zoneIndexes.set(zones, byId);
+  }
+  return byId;
+}
+
+/**
+ * Ids of a zone and its ancestors, from the zone itself up to the root.
+ *
+ * @param {string} zoneId
+ * @param {Array<{id: string, parent?: string|null}>} zones
+ * @returns {string[]}
+ */
+function zoneAncestorIds(zoneId, zones) {
+  const byId = indexZones(zones);
+  const ids = [];
+  const seen = new Set();
+  let current = byId.get(zoneId);
+  while (current && !seen.has(current.id)) {
+    seen.add(current.id);
+    ids.push(current.id);
+    current = current.parent ? byId.get(current.parent) : null;
+  }
+  return ids;
+}
+
+/**
+ * Names of a zone and its ancestors, from the root down to the zone itself.
+ *
+ * @param {string} zoneId
+ * @param {Array<{id: string, name: string, parent?: string|null}>} zones
+ * @returns {string[]} empty when the zone is unknown
+ */
+function zonePathNames(zoneId, zones) {
+  const byId = indexZones(zones);
+  return zoneAncestorIds(zoneId, zones).reverse().map((id) => byId.get(id).name);
+}
+
+/**
+ * Display path of a zone, e.g. "Home / Upstairs / Bathroom".
+ * @returns {string|null}
+ */
+function zonePath(zoneId, zones) {
+  const names = zonePathNames(zoneId, zones);
+  return names.length ? names.join(' / ') : null;
+}
+
+function numberStats(values) {
+  if (!values.length) return null;
+  const sum = values.reduce((a, b) => a + b, 0);
+  return {
+    average: Math.round((sum / values.length) * 100) / 100,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    count: values.length,
+  };
+}
+
+function alarmState(devices, capability) {
+  const reporting = devices.filter((d) => typeof d.values?.[capability] === 'boolean');
+  if (!reporting.length) return null;
+  const active = reporting.filter((d) => d.values[capability]);
+  return {
+    active: active.length > 0,
+    devices: active.map((d) => d.name),
+    count: reporting.length,
+  };
+}
+
+/**
+ * Aggregate sensor readings of picked devices (see HomeyClient#_pickDevice).
+ * Each entry is null when no device reports that capability.
+ *
+ * @param {Array<{name: string, values?: Record<string, any>}>} devices
+ * @returns {{temperature: object|null, humidity: object|null, motion: object|null, contact: object|null}}
+ */
+function aggregateZoneSensors(devices) {
+  const numbers = (capability) => devices
+    .map((d) => d.values?.[capability])
+    .filter((v) => typeof v === 'number' && Number.isFinite(v));
+
+  return {
+    temperature: numberStats(numbers('measure_temperature')),
+    humidity: numberStats(numbers('measure_humidity')),
+    motion: alarmState(devices, 'alarm_motion'),
+    contact: alarmState(devices, 'alarm_contact'),
+  };
+}
+
+module.exports = {
+  indexZones,
+  zoneDescendantIds,
+  zoneAncestorIds,
+  zonePathNames,
+  zonePath,
+  aggregateZoneSensors,
+};